@@ -8,7 +8,14 @@ class NavbarBlock(blocks.StructBlock):
     links = blocks.ListBlock(
         blocks.StructBlock([
             ('link_text', blocks.CharBlock(required=True, help_text="Text for the link")),
-            ('link_url', blocks.URLBlock(required=True, help_text="URL for the link"))
+            ('link_url', blocks.URLBlock(required=True, help_text="URL for the link")),
+            ('children', blocks.ListBlock(
+                blocks.StructBlock([
+                    ('link_text', blocks.CharBlock(required=True, help_text="Text for the link")),
+                    ('link_url', blocks.URLBlock(required=True, help_text="URL for the link"))
+                ]),
+                help_text="Optional links shown in a dropdown under this one"
+            ))
         ]),
         help_text="Add Navigation links for the main menu"
     )
@@ -0,0 +1,23 @@
+from django import template
+
+from wagtail.models import Site
+
+register = template.Library()
+
+
+@register.simple_tag(takes_context=True)
+def site_navbar(context):
+    """
+    Return the Navbar blocks for the page being rendered: its own navbar
+    snippet, or else the one chosen on the site's home page, so search results,
+    error pages and other page types share the home page's header.
+    """
+    snippet = getattr(context.get("page"), "navbar_snippet", None)
+
+    if snippet is None:
+        request = context.get("request")
+        site = Site.find_for_request(request) if request else None
+        if site:
+            snippet = getattr(site.root_page.specific, "navbar_snippet", None)
+
+    return snippet.navbar if snippet else []
@@ -1,7 +1,7 @@
 from django.urls import reverse
-from home.models import HomePage
+from home.models import HomePage, NavbarSnippet
 
-from wagtail.models import Page
+from wagtail.models import Page, Site
 from wagtail.test.utils import WagtailPageTestCase
 
 
@@ -41,3 +41,56 @@ class HomeTests(WagtailPageTestCase):
     def test_homepage_template_used(self):
         response = self.client.get(reverse("home"))
         self.assertTemplateUsed(response, "home/home_page.html")
+
+
+class NavbarTests(WagtailPageTestCase):
+    """
+    Tests for the site navbar that base.html renders on every page.
+    """
+
+    def setUp(self):
+        """
+        Give the site's home page a navbar snippet.
+        """
+        snippet = NavbarSnippet.objects.create(
+            title="Main",
+            navbar=[
+                (
+                    "Navbar",
+                    {
+                        "brand_name": "St Veronica Foundation",
+                        "logo": None,
+                        "links": [
+                            {"link_text": "About us", "link_url": "https://example.com/about/"},
+                            {
+                                "link_text": "Programs",
+                                "link_url": "https://example.com/programs/",
+                                "children": [{"link_text": "Clinics", "link_url": "https://example.com/clinics/"}],
+                            },
+                        ],
+                        "button": "Donate",
+                        "button_url": "https://example.com/donate/",
+                    },
+                )
+            ],
+        )
+        self.homepage = Site.objects.get(is_default_site=True).root_page.specific
+        self.homepage.navbar_snippet = snippet
+        self.homepage.save()
+
+    def test_navbar_on_home_page(self):
+        response = self.client.get(self.homepage.url)
+        self.assertContains(response, 'class="site-navbar"', count=1)
+        self.assertContains(response, "About us")
+
+    def test_navbar_on_other_pages(self):
+        response = self.client.get(reverse("search"))
+        self.assertContains(response, 'class="site-navbar"', count=1)
+        self.assertContains(response, "St Veronica Foundation")
+
+    def test_dropdown_for_links_with_children(self):
+        response = self.client.get(self.homepage.url)
+        self.assertContains(response, "data-nav-dropdown", count=1)
+        self.assertContains(response, 'aria-controls="site-navbar-submenu-2"')
+        self.assertContains(response, 'id="site-navbar-submenu-2"')
+        self.assertContains(response, "Clinics")
@@ -0,0 +1,79 @@
+from django.urls import reverse
+from home.models import HomePage
+
+from wagtail.models import Page
+from wagtail.test.utils import WagtailPageTestCase
+
+
+class SearchViewTests(WagtailPageTestCase):
+    """
+    Tests for the search view in HTML and JSON modes.
+    """
+
+    def setUp(self):
+        """
+        Create a live page the search backend can find.
+        """
+        root_page = Page.objects.get(pk=1)
+        self.homepage = HomePage(title="Medical Mission", search_description="Clinic outreach")
+        root_page.add_child(instance=self.homepage)
+
+    def test_search_template_used(self):
+        response = self.client.get(reverse("search"), {"query": "Mission"})
+        self.assertEqual(response.status_code, 200)
+        self.assertTemplateUsed(response, "search/search.html")
+
+    def test_search_json_response(self):
+        response = self.client.get(
+            reverse("search"),
+            {"query": "Mission"},
+            HTTP_ACCEPT="application/json",
+        )
+        self.assertEqual(response.status_code, 200)
+        data = response.json()
+        self.assertEqual(data["search_query"], "Mission")
+        self.assertEqual(data["total"], len(data["search_results"]))
+        self.assertIn("Medical Mission", [result["title"] for result in data["search_results"]])
+
+    def test_search_json_without_query(self):
+        response = self.client.get(reverse("search"), HTTP_ACCEPT="application/json")
+        self.assertEqual(
+            response.json(),
+            {
+                "search_query": "",
+                "search_results": [],
+                "total": 0,
+                "page": 1,
+                "num_pages": 1,
+                "has_next": False,
+                "has_previous": False,
+            },
+        )
+
+    def test_search_json_pagination(self):
+        root_page = Page.objects.get(pk=1)
+        for number in range(1, 12):
+            root_page.add_child(instance=HomePage(title=f"Mission {number}", slug=f"mission-{number}"))
+
+        first = self.client.get(reverse("search"), {"query": "Mission"}, HTTP_ACCEPT="application/json").json()
+        self.assertEqual(first["total"], 12)
+        self.assertEqual(len(first["search_results"]), 10)
+        self.assertEqual((first["page"], first["num_pages"]), (1, 2))
+        self.assertTrue(first["has_next"])
+        self.assertFalse(first["has_previous"])
+
+        second = self.client.get(
+            reverse("search"),
+            {"query": "Mission", "page": 2},
+            HTTP_ACCEPT="application/json",
+        ).json()
+        self.assertEqual(len(second["search_results"]), 2)
+        self.assertEqual(second["page"], 2)
+        self.assertFalse(second["has_next"])
+        self.assertTrue(second["has_previous"])
+
+    def test_search_varies_on_accept(self):
+        html_response = self.client.get(reverse("search"), {"query": "Mission"})
+        json_response = self.client.get(reverse("search"), {"query": "Mission"}, HTTP_ACCEPT="application/json")
+        self.assertIn("Accept", html_response["Vary"])
+        self.assertIn("Accept", json_response["Vary"])
@@ -1,5 +1,7 @@
 from django.core.paginator import EmptyPage, PageNotAnInteger, Paginator
+from django.http import JsonResponse
 from django.template.response import TemplateResponse
+from django.utils.cache import patch_vary_headers
 
 from wagtail.models import Page
 
@@ -36,11 +38,36 @@ def search(request):
     except EmptyPage:
         search_results = paginator.page(paginator.num_pages)
 
-    return TemplateResponse(
-        request,
-        "search/search.html",
-        {
-            "search_query": search_query,
-            "search_results": search_results,
-        },
-    )
+    # Live search widget and other scripts ask for JSON via the Accept header
+    if "application/json" in request.headers.get("Accept", ""):
+        response = JsonResponse(
+            {
+                "search_query": search_query or "",
+                "search_results": [
+                    {
+                        "title": result.title,
+                        "url": result.get_url(request),
+                        "excerpt": result.search_description,
+                    }
+                    for result in search_results
+                ],
+                "total": paginator.count,
+                "page": search_results.number,
+                "num_pages": paginator.num_pages,
+                "has_next": search_results.has_next(),
+                "has_previous": search_results.has_previous(),
+            }
+        )
+    else:
+        response = TemplateResponse(
+            request,
+            "search/search.html",
+            {
+                "search_query": search_query,
+                "search_results": search_results,
+            },
+        )
+
+    # The same URL serves HTML and JSON, so caches must keep them apart
+    patch_vary_headers(response, ["Accept"])
+    return response
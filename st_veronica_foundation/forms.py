@@ -0,0 +1,36 @@
+from django import forms
+from django.utils.translation import gettext_lazy as _
+
+
+class DonationForm(forms.Form):
+    """
+    A donation as sent by the donation wizard. Field names match the wizard's
+    inputs so errors land next to the right field.
+    """
+
+    FREQUENCY_CHOICES = [
+        ("one-time", _("One-time")),
+        ("monthly", _("Monthly")),
+    ]
+    DEDICATION_CHOICES = [
+        ("honour", _("In honour of")),
+        ("memory", _("In memory of")),
+    ]
+
+    amount = forms.DecimalField(min_value=1, max_digits=10, decimal_places=2)
+    currency = forms.RegexField(regex=r"^[A-Z]{3}$")
+    frequency = forms.ChoiceField(choices=FREQUENCY_CHOICES)
+    dedicate = forms.BooleanField(required=False)
+    dedication_type = forms.ChoiceField(choices=DEDICATION_CHOICES, required=False)
+    dedication_name = forms.CharField(max_length=200, required=False)
+    dedication_message = forms.CharField(max_length=500, required=False)
+    first_name = forms.CharField(max_length=100)
+    last_name = forms.CharField(max_length=100)
+    email = forms.EmailField()
+    phone = forms.CharField(max_length=30, required=False)
+
+    def clean(self):
+        cleaned_data = super().clean()
+        if cleaned_data.get("dedicate") and not cleaned_data.get("dedication_name"):
+            self.add_error("dedication_name", _("Please enter the name of the person you are giving for."))
+        return cleaned_data
@@ -13,6 +13,8 @@ https://docs.djangoproject.com/en/5.2/ref/settings/
 # Build paths inside the project like this: os.path.join(BASE_DIR, ...)
 import os
 
+from django.utils.translation import gettext_lazy as _
+
 PROJECT_DIR = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
 BASE_DIR = os.path.dirname(PROJECT_DIR)
 
@@ -51,6 +53,7 @@ INSTALLED_APPS = [
 MIDDLEWARE = [
     "django.middleware.security.SecurityMiddleware",
     "django.contrib.sessions.middleware.SessionMiddleware",
+    "django.middleware.locale.LocaleMiddleware",
     "django.middleware.common.CommonMiddleware",
     "django.middleware.csrf.CsrfViewMiddleware",
     "django.contrib.auth.middleware.AuthenticationMiddleware",
@@ -121,6 +124,19 @@ TIME_ZONE = "UTC"
 
 USE_I18N = True
 
+# Languages visitors can be served in, picked from their Accept-Language
+# header. Tagalog has no Django translations of its own, so it is offered
+# once the project's catalog for it is compiled into LOCALE_PATHS.
+LANGUAGES = [
+    ("en", _("English")),
+    ("es", _("Spanish")),
+    ("tl", _("Tagalog")),
+]
+
+LOCALE_PATHS = [
+    os.path.join(PROJECT_DIR, "locale"),
+]
+
 USE_TZ = True
 
 
@@ -158,6 +174,17 @@ STORAGES = {
 DATA_UPLOAD_MAX_NUMBER_FIELDS = 10_000
 
 
+# When the running release was deployed, as a Unix timestamp, so every worker
+# reports the same Last-Modified for the translation catalog. Deploy scripts
+# should set DEPLOYED_AT; the time this file was written stands in otherwise.
+DEPLOYED_AT = int(os.environ.get("DEPLOYED_AT") or os.path.getmtime(__file__))
+
+
+# Page that takes payment once the donation wizard's choices are checked;
+# the amount, currency and frequency are passed in the query string
+DONATION_PAYMENT_URL = "/donate/"
+
+
 # Wagtail settings
 
 WAGTAIL_SITE_NAME = "st_veronica_foundation"
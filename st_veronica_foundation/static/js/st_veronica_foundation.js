@@ -4,16 +4,258 @@
  * Implements smooth interactions, accessibility, and performance
  */
 
-(function($) {
+(function() {
     'use strict';
 
-    // Cache frequently used selectors
-    const $window = $(window);
-    const $document = $(document);
-    const $body = $('body');
+    // Response handlers keyed by type, plus middleware around all of them
+    const responseHandlers = {};
+    const responseMiddleware = { before: [], after: [] };
 
-    // Store AJAX cache
-    const ajaxCache = {};
+    // Text in the built-in templates, marked here so makemessages -d djangojs finds it;
+    // data-i18n and data-i18n-attr look it up in the catalog when a template renders
+    const TEMPLATE_MESSAGES = {
+        noResults: gettext_noop('No results found.'),
+        correctErrors: gettext_noop('Please correct the following:'),
+        dismissNotification: gettext_noop('Dismiss notification')
+    };
+
+    // Templating: built-in markup, overridable with <template data-template="..."> in the page
+    const DEFAULT_TEMPLATES = {
+        'search-results': '<ul class="search-results" data-slot="items"></ul>',
+        'search-result': `
+            <li class="search-result-item">
+                <h3><a data-attr="href:url" data-text="title"></a></h3>
+                <p data-if="excerpt" data-text="excerpt"></p>
+            </li>`,
+        'search-empty': `<p class="search-empty" data-i18n>${TEMPLATE_MESSAGES.noResults}</p>`,
+        'live-search-option': `
+            <li class="live-search-option" role="option" aria-selected="false" data-attr="id:id;data-url:url">
+                <span class="live-search-title" data-html="title"></span>
+                <span class="live-search-excerpt" data-if="excerpt" data-html="excerpt"></span>
+            </li>`,
+        'live-search-empty': `<li class="live-search-empty" role="presentation" data-i18n>${TEMPLATE_MESSAGES.noResults}</li>`,
+        'live-search-view-all': `
+            <li class="live-search-option live-search-view-all" role="option" aria-selected="false" data-attr="id:id;data-url:url" data-text="label"></li>`,
+        'form-error': '<div class="error-message text-danger" data-attr="id:id" data-text="message"></div>',
+        'error-summary': `
+            <div class="error-summary" role="alert" tabindex="-1">
+                <p class="error-summary-title" data-i18n>${TEMPLATE_MESSAGES.correctErrors}</p>
+                <ul data-slot="items"></ul>
+            </div>`,
+        'error-summary-item': `
+            <li>
+                <a data-if="href" data-attr="href:href" data-text="message"></a>
+                <span data-if="!href" data-text="message"></span>
+            </li>`,
+        'notification': `
+            <div data-attr="class:className">
+                <span class="notification-icon" aria-hidden="true" data-html="icon"></span>
+                <div class="notification-body">
+                    <p class="notification-message" data-text="message"></p>
+                    <div class="notification-actions" data-if="actions" data-slot="actions"></div>
+                </div>
+                <button type="button" class="notification-dismiss" aria-label="${TEMPLATE_MESSAGES.dismissNotification}" data-i18n-attr="aria-label">&times;</button>
+            </div>`,
+        'notification-action': '<button type="button" class="btn btn-sm btn-outline-primary" data-text="label"></button>',
+        'donation-review-row': '<dt data-text="label"></dt><dd data-text="value"></dd>',
+        'upload-file': `
+            <li class="upload-file">
+                <span class="upload-file-name" data-text="name"></span>
+                <span class="upload-file-size" data-text="size"></span>
+                <button type="button" class="upload-file-remove" data-attr="aria-label:removeLabel">&times;</button>
+            </li>`
+    };
+    const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'data-url'];
+    const UNSAFE_URL_PATTERN = /^\s*(javascript|data|vbscript):/i;
+    const safeHtmlValues = new WeakSet();
+    const defaultTemplateCache = {};
+
+    // Notification centre
+    const NOTIFICATION_MAX_VISIBLE = 3;
+    const NOTIFICATION_DURATION = 5000;
+    const FLASH_STORAGE_KEY = 'stveronica.flash';
+    const NOTIFICATION_ICONS = {
+        success: '<svg viewBox="0 0 24 24" width="20" height="20"><path fill="currentColor" d="M9 16.2 4.8 12l-1.4 1.4L9 19 21 7l-1.4-1.4z"/></svg>',
+        error: '<svg viewBox="0 0 24 24" width="20" height="20"><path fill="currentColor" d="M12 2a10 10 0 1 0 0 20 10 10 0 0 0 0-20zm1 15h-2v-2h2v2zm0-4h-2V7h2v6z"/></svg>',
+        warning: '<svg viewBox="0 0 24 24" width="20" height="20"><path fill="currentColor" d="M1 21h22L12 2 1 21zm12-3h-2v-2h2v2zm0-4h-2v-4h2v4z"/></svg>',
+        info: '<svg viewBox="0 0 24 24" width="20" height="20"><path fill="currentColor" d="M12 2a10 10 0 1 0 0 20 10 10 0 0 0 0-20zm1 15h-2v-6h2v6zm0-8h-2V7h2v2z"/></svg>'
+    };
+    const notificationQueue = [];
+
+    // Open dialogs, topmost last: { modal, returnFocus, inerted }
+    const modalStack = [];
+    const FOCUSABLE_SELECTOR = 'a[href], area[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), ' +
+        'select:not([disabled]), textarea:not([disabled]), iframe, [contenteditable="true"], [tabindex]:not([tabindex="-1"])';
+    // Controls that use Escape themselves, so it must not also close the dialog around them
+    const OWN_ESCAPE_SELECTOR = '[role="combobox"], [data-nav-dropdown][aria-expanded="true"], ' +
+        '[data-bs-toggle="dropdown"][aria-expanded="true"], .dropdown-menu.show';
+    // Per-modal state kept between the show and shown events
+    const modalReturnFocus = new WeakMap();
+    const modalRevived = new WeakMap();
+    const fallbackBackdrops = new WeakMap();
+
+    // Form serialization: name segments that would reach Object.prototype
+    const UNSAFE_FIELD_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+    // Client-side validation
+    const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    const PHONE_PATTERN = /^\+?[\d\s().-]+$/;
+    const NON_FIELD_ERROR_KEYS = ['__all__', 'non_field_errors'];
+    // pattern attributes compile with the v flag, or u where v is not supported yet
+    const PATTERN_FLAGS = (function() {
+        try {
+            new RegExp('', 'v');
+            return 'v';
+        } catch (error) {
+            return 'u';
+        }
+    })();
+    const VALIDATION_MESSAGES = {
+        required: gettext_noop('This field is required.'),
+        email: gettext_noop('Enter a valid email address.'),
+        phone: gettext_noop('Enter a valid phone number.'),
+        minlength: gettext_noop('Enter at least {min} characters.'),
+        maxlength: gettext_noop('Enter no more than {max} characters.'),
+        pattern: gettext_noop('Enter a value in the requested format.'),
+        number: gettext_noop('Enter a number.'),
+        min: gettext_noop('Enter a value of {min} or more.'),
+        max: gettext_noop('Enter a value of {max} or less.'),
+        match: gettext_noop('This value does not match.'),
+        fileType: gettext_noop('{name} is not an accepted file type.'),
+        fileSize: gettext_noop('{name} is larger than {max}.'),
+        maxFiles: gettext_noop('Choose no more than {max} files.')
+    };
+
+    // Files chosen for each file input, editable before upload
+    const uploadSelections = new WeakMap();
+    const UPLOAD_TIMEOUT = 5 * 60 * 1000;
+
+    // IndexedDB outbox for submissions made while offline
+    const OUTBOX_DB_NAME = 'stveronica-outbox';
+    const OUTBOX_STORE = 'submissions';
+    let outboxDatabase = null;
+    let outboxReplaying = false;
+
+    // CSRF token fetched from the server after a rejected request
+    let refreshedCsrfToken = null;
+
+    // Prefetching: hover-intent delay, a cap on concurrent prefetches and the
+    // URLs handed to the browser as <link rel="prefetch"> hints
+    const PREFETCH_HOVER_DELAY = 65;
+    const PREFETCH_MAX_CONCURRENT = 2;
+    const prefetchQueue = [];
+    const prefetchHints = new Set();
+    const prefetchHoverTimers = new WeakMap();
+    let prefetchObserver = null;
+    let activePrefetches = 0;
+
+    // Lazy media: elements waiting for the viewport and the embed hosts facades may load
+    const LAZY_MEDIA_SELECTOR = 'img[data-src], img[data-srcset], iframe[data-src], [data-bg]:not(.is-loaded)';
+    const EMBED_HOSTS = /^(www\.)?(youtube\.com|youtube-nocookie\.com|player\.vimeo\.com)$/;
+    const lazyMediaPending = new Set();
+    let lazyMediaObserver = null;
+    let lazyMediaFallbackBound = false;
+
+    // Loading state: running requests overall and per container or form
+    const LOADING_PROGRESS_DELAY = 400;
+    const busyCounts = new Map();
+    const busyButtonStates = new WeakMap();
+    let loadingCount = 0;
+    let loadingProgressTimer = null;
+
+    // Request layer: per-attempt timeout, backoff retries and the requests still running
+    const REQUEST_TIMEOUT = 15000;
+    const REQUEST_RETRIES = 2;
+    const REQUEST_RETRY_DELAY = 500;
+    const openRequests = new Set();
+    const targetRequests = new Map();
+
+    // Shared response cache for GET requests: LRU with a per-entry TTL
+    const CACHE_MAX_ENTRIES = 50;
+    const CACHE_DEFAULT_TTL = 5 * 60 * 1000;
+    const responseCache = new Map();
+    const inFlightRequests = new Map();
+
+    // Live search widgets keyed by their form
+    const liveSearchWidgets = new WeakMap();
+
+    // Search results paged in place, keyed by their [data-search-results] region
+    const searchPaginations = new WeakMap();
+
+    // Accordions and tab sets keyed by their container, and what the user last
+    // opened in each by container id
+    const disclosureWidgets = new WeakMap();
+    const disclosureStates = new Map();
+
+    // Campaign widgets: polling interval in seconds, count-up duration in ms,
+    // widgets keyed by element, the last figure each element showed and running count-ups
+    const CAMPAIGN_POLL_INTERVAL = 60;
+    const CAMPAIGN_COUNT_DURATION = 1500;
+    const campaignWidgets = new Map();
+    const campaignValues = new WeakMap();
+    const counterFrames = new WeakMap();
+    let campaignObserver = null;
+
+    // Navbar: scroll distance before the sticky header hides, and the last measured height
+    const NAVBAR_HIDE_THRESHOLD = 10;
+    let headerOffset = null;
+
+    // Analytics: events are batched and sent with sendBeacon to <body data-analytics-url>
+    const ANALYTICS_BATCH_SIZE = 10;
+    const ANALYTICS_FLUSH_INTERVAL = 10000;
+    const ANALYTICS_CONSENT_KEY = 'stveronica.analyticsConsent';
+    const PERSONAL_KEY_PATTERN = /mail|phone|name|address|password|card|iban|token|csrf|message/i;
+    const analyticsListeners = [];
+    const analyticsQueue = [];
+    let analyticsTimer = null;
+
+    // i18n: the inline message catalog (read once), cached Intl formatters and
+    // the operators allowed in gettext plural rules, as [precedence, operation]
+    const PLURAL_OPERATORS = {
+        '||': [1, function(a, b) { return a || b; }],
+        '&&': [2, function(a, b) { return a && b; }],
+        '==': [3, function(a, b) { return a === b; }],
+        '!=': [3, function(a, b) { return a !== b; }],
+        '<': [4, function(a, b) { return a < b; }],
+        '>': [4, function(a, b) { return a > b; }],
+        '<=': [4, function(a, b) { return a <= b; }],
+        '>=': [4, function(a, b) { return a >= b; }],
+        '+': [5, function(a, b) { return a + b; }],
+        '-': [5, function(a, b) { return a - b; }],
+        '*': [6, function(a, b) { return a * b; }],
+        '/': [6, function(a, b) { return Math.floor(a / b); }],
+        '%': [6, function(a, b) { return a % b; }]
+    };
+    const intlFormatters = new Map();
+    let i18nCatalog = null;
+
+    // Visitor display preferences; a stored choice overrides the matching media query.
+    // The inline script in base.html applies the same classes before first paint.
+    const A11Y_STORAGE_KEY = 'stveronica.a11yPreferences';
+    const A11Y_PREFERENCES = {
+        reduceMotion: { className: 'a11y-reduce-motion', media: '(prefers-reduced-motion: reduce)' },
+        highContrast: { className: 'a11y-high-contrast', media: '(prefers-contrast: more)' },
+        largeText: { className: 'a11y-large-text' },
+        dyslexiaFont: { className: 'a11y-dyslexia-font' },
+        underlineLinks: { className: 'a11y-underline-links' },
+        darkTheme: { className: 'a11y-dark-theme', media: '(prefers-color-scheme: dark)' }
+    };
+    let storedPreferences = null;
+
+    // Logging: silent unless ?debug=1 (or a level name) turns it on; the choice is
+    // remembered under DEBUG_STORAGE_KEY until ?debug=0
+    const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 50 };
+    const DEBUG_STORAGE_KEY = 'stveronica.debug';
+    let logLevel = null;
+
+    // Error reports go to <body data-error-report-url>: each distinct error once per
+    // page, and no more than ERROR_REPORT_LIMIT in any ERROR_REPORT_WINDOW (ms)
+    const ERROR_REPORT_LIMIT = 5;
+    const ERROR_REPORT_WINDOW = 60 * 1000;
+    const errorReportsSent = new Set();
+    const errorReportTimes = [];
+
+    function noop() {}
 
     // Debounce function for performance
     function debounce(func, wait, immediate) {
@@ -31,673 +273,5591 @@
         };
     }
 
-    // Check for reduced motion preference
-    const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
-
-    // Initialize all functionality when DOM is ready
-    $document.ready(function() {
-        initScrollAnimations();
-        ajaxPrefetch();
-        smoothScroll();
-        handleModalEvents();
-        interactiveButtons();
-        accessibilityEnhancements();
-        initPreloader();
-        initFormSubmissions(); // Add form submission handler
-    });
-
     /**
-     * Initialize preloader fade effect
+     * Write to the console when the level is at or above the current log level
+     * @param {string} level - 'debug', 'info', 'warn' or 'error'
+     * @param {...*} args - Values to log
      */
-    function initPreloader() {
-        $('.preloader').fadeOut(800);
-        
-        // Fade in content wrapper on page load
-        $('.content-wrapper').fadeTo(800, 1);
+    function log(level, ...args) {
+        if (LOG_LEVELS[level] < LOG_LEVELS[getLogLevel()]) return;
 
-        // Use $body variable to remove preload class when done
-        $body.removeClass('is-loading').addClass('is-loaded');
+        (console[level] || console.log).apply(console, ['[StVeronica]'].concat(args));
     }
 
     /**
-     * Handle smooth scrolling for anchor links
+     * Read the log level: a ?debug= query parameter wins and is remembered,
+     * then the remembered flag; without either the logger stays silent
+     * @returns {string} Current level name
      */
-    function smoothScroll() {
-        $('a[href^="#"]').on('click', function(e) {
-            e.preventDefault();
-            
-            const target = $($(this).attr('href'));
-            if (target.length) {
-                const offset = target.offset().top - 80; // Adjust for fixed header
-                
-                if (prefersReducedMotion) {
-                    // Skip animation for users who prefer reduced motion
-                    $window.scrollTop(offset);
-                } else {
-                    $('html, body').stop().animate({
-                        scrollTop: offset
-                    }, 800, 'swing');
-                }
-            }
-        });
-    }
+    function getLogLevel() {
+        if (logLevel) return logLevel;
 
-    /**
-     * Initialize scroll animations and section reveals
-     */
-    function initScrollAnimations() {
-        // Add fade-in class to elements when they enter viewport
-        const fadeInElements = $('.fade-in');
-        
-        if (prefersReducedMotion) {
-            // Show all elements immediately for users who prefer reduced motion
-            fadeInElements.addClass('visible');
-            return;
-        }
+        let flag = new URLSearchParams(window.location.search).get('debug');
 
-        // Use Intersection Observer for better performance if available
-        if ('IntersectionObserver' in window) {
-            const observer = new IntersectionObserver(function(entries) {
-                entries.forEach(function(entry) {
-                    if (entry.isIntersecting) {
-                        $(entry.target).addClass('visible');
-                        observer.unobserve(entry.target);
-                    }
-                });
-            }, {
-                threshold: 0.1,
-                rootMargin: '0px 0px -50px 0px'
-            });
+        try {
+            if (flag === null) {
+                flag = window.localStorage.getItem(DEBUG_STORAGE_KEY);
+            } else if (/^(0|false|off)$/i.test(flag)) {
+                window.localStorage.removeItem(DEBUG_STORAGE_KEY);
+            } else {
+                window.localStorage.setItem(DEBUG_STORAGE_KEY, flag);
+            }
+        } catch (e) {
+            // Storage unavailable: the query parameter lasts for this page only
+        }
 
-            fadeInElements.each(function() {
-                observer.observe(this);
-            });
+        if (flag === null || /^(0|false|off)$/i.test(flag)) {
+            logLevel = 'silent';
         } else {
-            // Fallback for older browsers
-            $window.on('scroll', debounce(function() {
-                fadeInElements.each(function() {
-                    const $element = $(this);
-                    const elementTop = $element.offset().top;
-                    const windowHeight = $window.height();
-                    const scrollTop = $window.scrollTop();
-                    
-                    if (scrollTop + windowHeight > elementTop + 100) {
-                        $element.addClass('visible');
-                    }
-                });
-            }, 100));
+            logLevel = LOG_LEVELS[flag] ? flag : 'debug';
         }
+        return logLevel;
     }
 
     /**
-     * Set up AJAX prefetching for performance
+     * Change the log level, e.g. from the browser console, and remember it
+     * @param {string} level - 'debug', 'info', 'warn', 'error' or 'silent'
      */
-    function ajaxPrefetch() {
-        $('[data-prefetch="true"]').each(function() {
-            const $element = $(this);
-            const url = $element.attr('href') || $element.data('url');
-            const responseType = $element.data('response-type') || 'default'; // Support for JSON responses
-            
-            if (url && !ajaxCache[url]) {
-                // Prefetch on hover/focus
-                $element.on('mouseenter focus', function() {
-                    if (!ajaxCache[url]) {
-                        $.ajax({
-                            url: url,
-                            method: 'GET',
-                            dataType: responseType === 'json' ? 'json' : 'html', // Handle JSON responses
-                            beforeSend: function() {
-                                // Show loading indicator
-                                $('.loading-spinner').addClass('show');
-                                $body.addClass('ajax-loading');
-                            },
-                            success: function(data, textStatus, jqXHR) {
-                                ajaxCache[url] = data;
-                                $('.loading-spinner').removeClass('show');
-                                $body.removeClass('ajax-loading').addClass('ajax-success');
-                                
-                                // Handle JSON responses
-                                if (responseType === 'json') {
-                                    handleJsonResponse(data, $element.data('json-handler') || 'default', {
-                                        element: $element,
-                                        url: url
-                                    });
-                                }
-                                
-                                // Log response headers for debugging (using jqXHR)
-                                console.log('AJAX Prefetch Headers:', jqXHR.getAllResponseHeaders());
-                            },
-                            error: function(xhr, status, error) {
-                                console.error('Prefetch failed:', error);
-                                $('.loading-spinner').removeClass('show');
-                                $body.removeClass('ajax-loading').addClass('ajax-error');
-
-                                // Use the xhr, status, and error variables directly
-                                console.warn(`XHR Status: ${xhr.status} (${status}) - ${error}`);
-
-                                // Show user-friendly error
-                                showNotification('Failed to preload content', 'error');
-                            }
-                        });
-                    }
-                });
-                
-                // Handle click to load prefetched content
-                $element.on('click', function(e) {
-                    // Check if this should be handled as an AJAX load
-                    if ($element.hasClass('ajax-load') || responseType === 'json') {
-                        e.preventDefault();
-                        
-                        if (ajaxCache[url]) {
-                            if (responseType === 'json') {
-                                handleJsonResponse(ajaxCache[url], $element.data('json-handler') || 'default', {
-                                    element: $element,
-                                    url: url
-                                });
-                            } else {
-                                loadAjaxContent(ajaxCache[url]);
-                            }
-                        } else {
-                            // Fetch if not cached
-                            $.ajax({
-                                url: url,
-                                method: 'GET',
-                                dataType: responseType === 'json' ? 'json' : 'html', // Handle JSON responses
-                                beforeSend: function() {
-                                    $('.loading-spinner').addClass('show');
-                                    $body.addClass('ajax-loading');
-                                },
-                                success: function(data, textStatus, jqXHR) {
-                                    ajaxCache[url] = data;
-                                    $('.loading-spinner').removeClass('show');
-                                    $body.removeClass('ajax-loading').addClass('ajax-success');
-                                    
-                                    if (responseType === 'json') {
-                                        handleJsonResponse(data, $element.data('json-handler') || 'default', {
-                                            element: $element,
-                                            url: url
-                                        });
-                                    } else {
-                                        loadAjaxContent(data);
-                                    }
-
-                                    // Use jqXHR variable for header logging
-                                    console.log('AJAX Load Headers:', jqXHR.getAllResponseHeaders());
-                                },
-                                error: function(xhr, status, error) {
-                                    $('.loading-spinner').removeClass('show');
-                                    $body.removeClass('ajax-loading').addClass('ajax-error');
-                                    
-                                    console.error('Failed to load content:', error);
-                                    console.warn(`XHR Response: ${xhr.responseText}`);
-                                    console.info(`Error Type: ${status}`);
-                                    
-                                    showNotification('Failed to load content', 'error');
-                                }
-                            });
-                        }
-                    }
-                });
-            }
-        });
-    }
+    function setLogLevel(level) {
+        if (!LOG_LEVELS[level]) {
+            throw new TypeError(`Unknown log level: ${level}`);
+        }
 
-    /**
-     * Load AJAX content into container
-     * @param {string} content - HTML content to load
-     */
-    function loadAjaxContent(content) {
-        const $container = $('.ajax-container');
-        if ($container.length) {
-            if (prefersReducedMotion) {
-                $container.html(content);
+        logLevel = level;
+
+        try {
+            if (level === 'silent') {
+                window.localStorage.removeItem(DEBUG_STORAGE_KEY);
             } else {
-                $container.fadeOut(300, function() {
-                    $container.html(content).fadeIn(300);
-                });
+                window.localStorage.setItem(DEBUG_STORAGE_KEY, level);
             }
-            
-            // Announce content change for screen readers
-            announceToScreenReader('Content loaded successfully');
-            
-            // Re-initialize animations for new content
-            setTimeout(initScrollAnimations, 100);
+        } catch (e) {
+            // Storage unavailable: the level lasts for this page only
         }
     }
 
     /**
-     * Handle interactive buttons with hover effects
+     * Check, at the moment of animating, whether motion should be kept to a
+     * minimum: the visitor's choice in the preferences panel, or else the
+     * system's prefers-reduced-motion setting
+     * @returns {boolean} True when animations should be skipped
      */
-    function interactiveButtons() {
-        // Add hover effects to buttons (subtle scale and glow)
-        $('.btn-donate, .btn-cta').each(function() {
-            const $button = $(this);
-            
-            if (!prefersReducedMotion) {
-                $button.on('mouseenter focus', function() {
-                    $(this).addClass('btn-hover');
-                    $body.addClass('button-hovered');
-                }).on('mouseleave blur', function() {
-                    $(this).removeClass('btn-hover');
-                    $body.removeClass('button-hovered');
-                });
-            }
-            
-            // Handle donate button click
-            if ($button.hasClass('btn-donate')) {
-                $button.on('click', function(e) {
-                    e.preventDefault();
-                    
-                    // Show confirmation modal
-                    $('#donateModal').modal('show');
-                });
-            }
-        });
-        
-        // Handle Enter and Space key presses for buttons
-        $document.on('keydown', '.btn', function(e) {
-            if (e.keyCode === 13 || e.keyCode === 32) { // Enter or Space
-                e.preventDefault();
-                $(this).trigger('click');
-            }
-        });
+    function shouldReduceMotion() {
+        return getAccessibilityPreference('reduceMotion');
     }
 
     /**
-     * Handle modal events with accessibility
+     * Run a callback once the DOM is ready, or straight away if it already is,
+     * so the script works in <head>, at the end of <body>, deferred or async
+     * @param {Function} callback - Function to run
      */
-    function handleModalEvents() {
-        // Store last focused element
-        let lastFocusedElement = null;
-        
-        // When modal opens
-        $('.modal').on('show.bs.modal', function() {
-            lastFocusedElement = document.activeElement;
-            
-            // Trap focus inside modal
-            const $modal = $(this);
-            $modal.attr('aria-hidden', 'false');
-            
-            // Move focus to modal
-            setTimeout(function() {
-                $modal.find('.modal-title').focus();
-            }, 100);
-        });
-        
-        // When modal hides
-        $('.modal').on('hidden.bs.modal', function() {
-            const $modal = $(this);
-            $modal.attr('aria-hidden', 'true');
-            
-            // Return focus to last element
-            if (lastFocusedElement) {
-                lastFocusedElement.focus();
-            }
-        });
-        
-        // Handle modal confirmation
-        $('.confirm-donation').on('click', function() {
-            const $modal = $(this).closest('.modal');
-            
-            // Close modal with fade effect
-            $modal.modal('hide');
-            
-            if (!prefersReducedMotion) {
-                // Fade out content before redirect
-                $('.content-wrapper').fadeTo(500, 0, function() {
-                    window.location.href = '/donate/';
-                });
-            } else {
-                window.location.href = '/donate/';
-            }
-        });
+    function onReady(callback) {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', callback);
+        } else {
+            callback();
+        }
     }
 
     /**
-     * Enhance accessibility features
+     * Find every element matching a selector
+     * @param {string} selector - CSS selector
+     * @param {Element|Document} [scope=document] - Element to search in
+     * @returns {Array} Matching elements
      */
-    function accessibilityEnhancements() {
-        // Ensure all click handlers also respond to keyboard
-        $document.on('keydown', '[role="button"], .interactive-element', function(e) {
-            if (e.keyCode === 13 || e.keyCode === 32) { // Enter or Space
-                e.preventDefault();
-                $(this).trigger('click');
-            }
-        });
-        
-        // Add ARIA attributes dynamically
-        $('.accordion').each(function() {
-            const $accordion = $(this);
-            $accordion.find('.accordion-button').attr('aria-expanded', 'false');
-        });
+    function queryAll(selector, scope) {
+        return Array.prototype.slice.call((scope || document).querySelectorAll(selector));
     }
 
     /**
-     * Show notification to user
-     * @param {string} message - Message to display
-     * @param {string} type - Type of notification (success, error, warning, info)
+     * Find the form fields with a given name
+     * @param {Element} scope - Form or element to search in
+     * @param {string} name - Field name
+     * @returns {Array} Matching fields
      */
-    function showNotification(message, type = 'info') {
-        // Create notification element if it doesn't exist
-        if (!$('#notification-toast').length) {
-            const toastHTML = `
-                <div id="notification-toast" class="toast" role="alert" aria-live="polite" aria-atomic="true">
-                    <div class="toast-body">
-                        <span class="message"></span>
-                    </div>
-                </div>
-            `;
-            $('body').append(toastHTML);
-        }
-        
-        const $toast = $('#notification-toast');
-        $toast.find('.message').text(message);
-        $toast.remove//Class('success error warning info').addClass(type);
-        
-        // Show toast
-        if (typeof bootstrap !== 'undefined' && bootstrap.Toast) {
-            const toast = new bootstrap.Toast($toast[0], { delay: 3000 });
-            toast.show();
-        } else {
-            // Fallback for showing notification
-            $toast.fadeIn().delay(3000).fadeOut();
-        }
+    function queryByName(scope, name) {
+        return queryAll(`[name="${String(name).replace(/["\\]/g, '\\$&')}"]`, scope);
     }
 
     /**
-     * Announce message to screen readers
-     * @param {string} message - Message to announce
+     * Resolve a selector, element or array-like collection (e.g. a jQuery
+     * object from another script) to a single element
+     * @param {string|Element|Object} target - What to resolve
+     * @returns {Element|null} Element
      */
-    function announceToScreenReader(message) {
-        // Create aria-live region if it doesn't exist
-        if (!$('#sr-announcement').length) {
-            $('body').append('<div id="sr-announcement" aria-live="polite" class="sr-only"></div>');
-        }
-        
-        // Update content to trigger announcement
-        $('#sr-announcement').text(message);
+    function toElement(target) {
+        if (!target) return null;
+        if (typeof target === 'string') return document.querySelector(target);
+        if (target.nodeType) return target;
+        return target[0] || null;
     }
 
     /**
-     * Lazy load images with data-src attribute
+     * Listen for events on elements matching a selector, including elements added later
+     * @param {string} types - Space-separated event types
+     * @param {string} selector - Selector the event target or one of its ancestors must match
+     * @param {Function} handler - Called with the event, with this set to the matched element
+     * @param {Element|Document} [scope=document] - Element the listener is attached to
      */
-    function lazyLoadImages() {
-        if ('IntersectionObserver' in window) {
-            const imageObserver = new IntersectionObserver(function(entries) {
-                entries.forEach(function(entry) {
-                    if (entry.isIntersecting) {
-                        const $img = $(entry.target);
-                        const src = $img.data('src');
-                        
-                        if (src) {
-                            $img.attr('src', src).removeClass('lazy');
-                            imageObserver.unobserve(entry.target);
-                        }
-                    }
-                });
-            });
-            
-            $('img[data-src]').each(function() {
-                imageObserver.observe(this);
-            });
-        }
-    }
+    function delegate(types, selector, handler, scope) {
+        scope = scope || document;
 
-    /**
-     * Initialize form submissions with JSON handling
-     */
-    function initFormSubmissions() {
-        // Handle forms with data-json-form attribute
-        $('form[data-json-form]').on('submit', function(e) {
-            e.preventDefault();
-            
-            const $form = $(this);
-            const url = $form.attr('action') || window.location.href;
-            const method = $form.attr('method') || 'POST';
-            const formData = $form.serializeArray();
-            
-            // Convert form data to object
-            const data = {};
-            $.each(formData, function(i, field) {
-                data[field.name] = field.value;
-            });
-            
-            // Send as JSON request
-            sendJsonRequest(url, data, method, {
-                formSelector: $form.selector || 'form[data-json-form]',
-                responseType: 'form'
+        types.split(' ').forEach(function(type) {
+            scope.addEventListener(type, function(e) {
+                const element = e.target instanceof Element ? e.target.closest(selector) : null;
+
+                if (element && (scope === document || scope.contains(element))) {
+                    handler.call(element, e);
+                }
             });
         });
     }
 
     /**
-     * Send JSON request to server
-     * @param {string} url - Endpoint URL
-     * @param {Object} data - Data to send
-     * @param {string} method - HTTP method (GET, POST, PUT, DELETE)
-     * @param {Object} options - Additional options
-     * @returns {Promise} jQuery promise
+     * Dispatch a bubbling, cancelable custom event
+     * @param {EventTarget} target - Element or document to dispatch on
+     * @param {string} name - Event name
+     * @param {Object} [detail] - Event detail
+     * @param {Object} [properties] - Extra properties copied onto the event, e.g. relatedTarget
+     * @returns {CustomEvent} The dispatched event
      */
-    function sendJsonRequest(url, data = {}, method = 'POST', options = {}) {
-        const defaultOptions = {
-            url: url,
-            method: method,
-            contentType: 'application/json',
-            dataType: 'json',
-            data: JSON.stringify(data),
-            beforeSend: function() {
-                $('.loading-spinner').addClass('show');
-                $body.addClass('ajax-loading');
-            }
-        };
-        
-        // Merge default options with provided options
-        const ajaxOptions = $.extend({}, defaultOptions, options);
-        
-        return $.ajax(ajaxOptions)
-            .done(function(data, textStatus, jqXHR) {
-                $('.loading-spinner').removeClass('show');
-                $body.removeClass('ajax-loading').addClass('ajax-success');
-                
-                // Automatically handle JSON response if requested
-                if (options.handleResponse !== false) {
-                    handleJsonResponse(data, options.responseType || 'default', options);
-                }
-                
-                // Log response headers
-                console.log('JSON Request Headers:', jqXHR.getAllResponseHeaders());
-            })
-            .fail(function(xhr, status, error) {
-                $('.loading-spinner').removeClass('show');
-                $body.removeClass('ajax-loading').addClass('ajax-error');
-                
-                console.error('JSON Request failed:', error);
-                console.warn(`XHR Status: ${xhr.status} (${status}) - ${error}`);
-                
-                // Try to parse JSON error response
-                let errorMessage = 'Request failed';
-                if (xhr.responseText) {
-                    try {
-                        const errorData = JSON.parse(xhr.responseText);
-                        errorMessage = errorData.message || errorMessage;
-                    } catch (e) {
-                        // Use default error message if parsing fails
-                        errorMessage = xhr.responseText.substring(0, 100) + '...';
-                    }
-                }
-                
-                showNotification(errorMessage, 'error');
-                
-                // Trigger custom event for other scripts
-                $document.trigger('stveronica.jsonRequestFailed', [xhr, status, error]);
-            });
+    function dispatch(target, name, detail, properties) {
+        const event = new CustomEvent(name, { bubbles: true, cancelable: true, detail: detail });
+
+        Object.assign(event, properties);
+        target.dispatchEvent(event);
+        return event;
     }
 
     /**
-     * Handle JSON response from AJAX requests
-     * @param {Object} data - JSON data received from server
-     * @param {string} responseType - Type of response to determine processing method
-     * @param {Object} options - Additional options for handling the response
+     * Check whether an element takes up space on the page
+     * @param {Element} element - Element to check
+     * @returns {boolean} True when rendered
      */
-    function handleJsonResponse(data, responseType = 'default', options = {}) {
-        try {
-            // Process based on response type
-            switch(responseType) {
-                case 'form':
-                    processFormResponse(data, options);
-                    break;
-                case 'search':
-                    processSearchResponse(data, options);
-                    break;
-                case 'notification':
-                    processNotificationResponse(data, options);
-                    break;
-                default:
-                    processJsonData(data, options);
-            }
-            
-            // Log successful JSON handling
-            console.log('JSON response handled successfully:', data);
-            return true;
-        } catch (error) {
-            console.error('Error handling JSON response:', error);
-            showNotification('Error processing server response', 'error');
-            return false;
-        }
+    function isVisible(element) {
+        return !!(element.offsetWidth || element.offsetHeight || element.getClientRects().length);
     }
 
     /**
-     * Process general JSON data
-     * @param {Object} data - JSON data to process
-     * @param {Object} options - Processing options
+     * Fade an element to an opacity with the Web Animations API
+     * @param {HTMLElement} element - Element to fade
+     * @param {number} opacity - Target opacity
+     * @param {number} duration - Duration in ms
+     * @returns {Promise} Resolves with the element once the fade is over
      */
-    function processJsonData(data, options = {}) {
-        // Handle common JSON response patterns
-        if (data.message) {
-            const type = data.success ? 'success' : 'error';
-            showNotification(data.message, type);
-        }
-        
-        if (data.redirect) {
-            if (prefersReducedMotion) {
-                window.location.href = data.redirect;
-            } else {
-                $('.content-wrapper').fadeTo(500, 0, function() {
-                    window.location.href = data.redirect;
-                });
-            }
+    function fadeTo(element, opacity, duration) {
+        if (!element) {
+            return Promise.resolve(element);
         }
-        
-        if (data.content) {
-            loadAjaxContent(data.content);
+
+        const from = window.getComputedStyle(element).opacity;
+
+        // The inline style holds the end state; the animation plays over it
+        element.style.opacity = opacity;
+
+        if (shouldReduceMotion() || typeof element.animate !== 'function') {
+            return Promise.resolve(element);
         }
-        
-        // Trigger custom event for other scripts to listen to
-        $document.trigger('stveronica.jsonProcessed', [data, options]);
+
+        return element.animate([{ opacity: from }, { opacity: opacity }], {
+            duration: duration,
+            easing: 'ease-in-out'
+        }).finished.then(function() {
+            return element;
+        }, function() {
+            return element;
+        });
     }
 
     /**
-     * Process form submission JSON response
-     * @param {Object} data - Form response data
-     * @param {Object} options - Processing options
+     * Translate a message, filling {name} placeholders from values.
+     * Uses Django's JavaScriptCatalog (window.django) when its script is on the
+     * page, otherwise <script type="application/json" data-i18n-catalog> holding
+     * the { catalog, plural } JSON that Django's JSONCatalog view returns.
+     * Named like Django's helpers so makemessages -d djangojs extracts the calls;
+     * text in the built-in templates is marked in TEMPLATE_MESSAGES.
+     * @param {string} message - English message
+     * @param {Object} [values] - Placeholder values
+     * @returns {string} Translated message
      */
-    function processFormResponse(data, options = {}) {
-        // Handle form-specific responses
-        if (data.form_errors) {
-            // Display form errors
-            displayFormErrors(data.form_errors, options.formSelector);
-        }
-        
-        if (data.form_success) {
-            // Clear form and show success message
-            if (options.formSelector) {
-                $(options.formSelector)[0].reset();
-            }
-            showNotification(data.form_success, 'success');
+    function gettext(message, values) {
+        let translated = message;
+
+        if (window.django && typeof window.django.gettext === 'function') {
+            translated = window.django.gettext(message);
+        } else {
+            const entry = getCatalog().messages[message];
+            translated = Array.isArray(entry) ? entry[0] : (entry || message);
         }
-        
-        // Process general data as well
-        processJsonData(data, options);
+
+        return interpolate(translated, values);
     }
 
     /**
-     * Process search JSON response
-     * @param {Object} data - Search response data
-     * @param {Object} options - Processing options
+     * Translate a message with singular and plural forms. {count} is filled
+     * with the locale-formatted count.
+     * @param {string} singular - English singular
+     * @param {string} plural - English plural
+     * @param {number} count - Number deciding the form
+     * @param {Object} [values] - Further placeholder values
+     * @returns {string} Translated message
      */
-    function processSearchResponse(data, options = {}) {
-        // Handle search-specific responses
-        if (data.search_results) {
-            displaySearchResults(data.search_results, options.containerSelector);
-        }
-        
-        if (data.search_query) {
-            updateSearchQueryDisplay(data.search_query);
+    function ngettext(singular, plural, count, values) {
+        let translated;
+
+        if (window.django && typeof window.django.ngettext === 'function') {
+            translated = window.django.ngettext(singular, plural, count);
+        } else {
+            const catalog = getCatalog();
+            const entry = catalog.messages[singular];
+            const index = catalog.plural ? catalog.plural(count) : (count === 1 ? 0 : 1);
+
+            translated = Array.isArray(entry) && entry[index] !== undefined ? entry[index] : (count === 1 ? singular : plural);
         }
-        
-        // Process general data as well
-        processJsonData(data, options);
+
+        return interpolate(translated, Object.assign({ count: formatNumber(count) }, values));
     }
 
     /**
-     * Process notification JSON response
-     * @param {Object} data - Notification response data
-     * @param {Object} options - Processing options
+     * Mark a message for translation without translating it yet, for
+     * messages kept in constants and translated where they are shown
+     * @param {string} message - English message
+     * @returns {string} The same message
      */
-    function processNotificationResponse(data, options = {}) {
-        // Handle notification-specific responses
-        if (data.notifications) {
-            data.notifications.forEach(notification => {
-                showNotification(notification.message, notification.type || 'info');
-            });
-        }
-        
-        // Process general data as well
-        processJsonData(data, options);
+    function gettext_noop(message) {
+        return message;
     }
 
     /**
-     * Parse JSON response string
-     * @param {string} jsonString - JSON string to parse
-     * @returns {Object} Parsed JSON object
+     * Fill {name} placeholders; unknown placeholders are left as they are
+     * @param {string} message - Message with placeholders
+     * @param {Object} [values] - Placeholder values
+     * @returns {string} Message
      */
-    function parseJsonResponse(jsonString) {
-        try {
-            return JSON.parse(jsonString);
-        } catch (error) {
-            console.error('Error parsing JSON:', error);
-            throw new Error('Invalid JSON response');
-        }
+    function interpolate(message, values) {
+        if (!values) return message;
+
+        return message.replace(/\{(\w+)\}/g, function(match, key) {
+            return values[key] == null ? match : String(values[key]);
+        });
     }
 
     /**
-     * Display form errors in the UI
-     * @param {Object} errors - Error object with field names as keys
-     * @param {string} formSelector - Selector for the form element
+     * Read the inline message catalog once
+     * @returns {Object} { messages, plural } where plural maps a count to a form index
      */
-    function displayFormErrors(errors, formSelector) {
+    function getCatalog() {
+        if (i18nCatalog) return i18nCatalog;
+
+        const script = document.querySelector('script[type="application/json"][data-i18n-catalog]');
+        i18nCatalog = { messages: {}, plural: null };
+
+        if (script) {
+            try {
+                const data = JSON.parse(script.textContent);
+                i18nCatalog.messages = data.catalog || {};
+                i18nCatalog.plural = data.plural ? compilePluralRule(data.plural) : null;
+            } catch (error) {
+                log('error', 'Invalid message catalog:', error);
+            }
+        }
+
+        return i18nCatalog;
+    }
+
+    /**
+     * Turn a gettext plural expression such as "n == 1 ? 0 : n % 10 == 4 ? 1 : 2"
+     * into a function, without eval so it works under a strict CSP
+     * @param {string} expression - C-style expression in n
+     * @returns {Function} Maps a count to a form index
+     */
+    function compilePluralRule(expression) {
+        const tokens = String(expression).match(/\d+|n|\|\||&&|[=!<>]=|[?:()%*\/+\-<>!]/g) || [];
+        let position = 0;
+
+        const parsePrimary = function() {
+            const token = tokens[position++];
+
+            if (token === '(') {
+                const inner = parseTernary();
+                position++;
+                return inner;
+            }
+            if (token === '!') {
+                const operand = parsePrimary();
+                return function(n) { return !operand(n); };
+            }
+            if (token === '-') {
+                const operand = parsePrimary();
+                return function(n) { return -operand(n); };
+            }
+            if (token === 'n') {
+                return function(n) { return n; };
+            }
+            if (!/^\d+$/.test(token)) {
+                throw new SyntaxError(`Unexpected token in plural rule: ${token}`);
+            }
+            return function() { return Number(token); };
+        };
+
+        const parseBinary = function(minPrecedence) {
+            let left = parsePrimary();
+
+            while (PLURAL_OPERATORS[tokens[position]] && PLURAL_OPERATORS[tokens[position]][0] >= minPrecedence) {
+                const operator = PLURAL_OPERATORS[tokens[position++]];
+                const right = parseBinary(operator[0] + 1);
+                const leftOperand = left;
+
+                left = function(n) { return operator[1](Number(leftOperand(n)), Number(right(n))); };
+            }
+
+            return left;
+        };
+
+        const parseTernary = function() {
+            const condition = parseBinary(1);
+
+            if (tokens[position] !== '?') return condition;
+            position++;
+
+            const whenTrue = parseTernary();
+            position++;
+            const whenFalse = parseTernary();
+
+            return function(n) { return condition(n) ? whenTrue(n) : whenFalse(n); };
+        };
+
+        try {
+            const rule = parseTernary();
+            return function(count) { return Number(rule(count)); };
+        } catch (error) {
+            log('error', 'Invalid plural rule:', error);
+            return null;
+        }
+    }
+
+    /**
+     * The page language, from <html lang>
+     * @returns {string|undefined} BCP 47 tag, or undefined for the browser default
+     */
+    function getLocale() {
+        return document.documentElement.lang || undefined;
+    }
+
+    /**
+     * Check whether the page reads right to left
+     * @returns {boolean} True for RTL pages
+     */
+    function isRtl() {
+        return window.getComputedStyle(document.documentElement).direction === 'rtl';
+    }
+
+    /**
+     * Get a cached Intl formatter for the page language, falling back to the
+     * browser default if <html lang> is not a valid locale
+     * @param {string} type - 'NumberFormat' or 'DateTimeFormat'
+     * @param {Object} options - Formatter options
+     * @returns {Object} Intl formatter
+     */
+    function getFormatter(type, options) {
+        const key = `${getLocale()}|${type}|${JSON.stringify(options)}`;
+
+        if (!intlFormatters.has(key)) {
+            let formatter;
+            try {
+                formatter = new Intl[type](getLocale(), options);
+            } catch (error) {
+                formatter = new Intl[type](undefined, options);
+            }
+            intlFormatters.set(key, formatter);
+        }
+
+        return intlFormatters.get(key);
+    }
+
+    /**
+     * Format a number for the page language
+     * @param {number} value - Number
+     * @param {Object} [options] - Intl.NumberFormat options
+     * @returns {string} Formatted number
+     */
+    function formatNumber(value, options = {}) {
+        return getFormatter('NumberFormat', options).format(value);
+    }
+
+    /**
+     * Format an amount of money for the page language
+     * @param {number} amount - Amount
+     * @param {string} currency - ISO 4217 code, e.g. 'USD'
+     * @param {Object} [options] - Extra Intl.NumberFormat options, e.g. fraction digits
+     * @returns {string} Formatted amount
+     */
+    function formatCurrency(amount, currency, options = {}) {
+        try {
+            return formatNumber(amount, Object.assign({ style: 'currency', currency: currency }, options));
+        } catch (e) {
+            return `${currency} ${formatNumber(amount, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+        }
+    }
+
+    /**
+     * Format a date for the page language
+     * @param {Date|string|number} value - Date, ISO string or timestamp
+     * @param {Object} [options] - Intl.DateTimeFormat options; defaults to a medium date
+     * @returns {string} Formatted date, or '' for an invalid date
+     */
+    function formatDate(value, options = { dateStyle: 'medium' }) {
+        const date = value instanceof Date ? value : new Date(value);
+
+        return isNaN(date.getTime()) ? '' : getFormatter('DateTimeFormat', options).format(date);
+    }
+
+    /**
+     * Track a request in the loading state.
+     * The spinner, body.ajax-loading and the top progress bar stay up until the
+     * last running request finishes. Meanwhile the container has aria-busy and
+     * the form's submit buttons are disabled and relabelled (data-loading-text).
+     * Fires stveronica.loadingStart and stveronica.loadingFinish, bubbling from
+     * the container or form when there is one; event.detail.pending is the global count.
+     * @param {Object} [options] - container (element or selector the response updates),
+     *     form (form being sent) and global (false leaves the page-wide indicators alone)
+     * @returns {Function} Call with 'success', 'error' or 'abort' once the request settles
+     */
+    function beginLoading(options = {}) {
+        const container = toElement(options.container);
+        const form = toElement(options.form);
+        const global = options.global !== false;
+        let finished = false;
+
+        if (global && ++loadingCount === 1) {
+            document.body.classList.remove('ajax-success', 'ajax-error');
+            toggleLoadingIndicators(true);
+        }
+        [container, form].forEach(function(element) {
+            if (element) markBusy(element, true);
+        });
+
+        dispatch(container || form || document, 'stveronica.loadingStart', {
+            container: container,
+            form: form,
+            pending: loadingCount
+        });
+
+        return function(outcome) {
+            if (finished) return;
+            finished = true;
+
+            if (global && --loadingCount === 0) {
+                toggleLoadingIndicators(false);
+                drainPrefetchQueue();
+
+                // Only the outcome of the latest request is kept on <body>
+                if (outcome === 'success' || outcome === 'error') {
+                    document.body.classList.add(`ajax-${outcome}`);
+                }
+            }
+            [container, form].forEach(function(element) {
+                if (element) markBusy(element, false);
+            });
+
+            const target = [container, form].filter(function(element) {
+                return element && document.contains(element);
+            })[0];
+
+            dispatch(target || document, 'stveronica.loadingFinish', {
+                container: container,
+                form: form,
+                pending: loadingCount,
+                outcome: outcome
+            });
+        };
+    }
+
+    /**
+     * Count requests against an element, keeping aria-busy (and, for forms,
+     * disabled submit buttons) in place until the last one finishes
+     * @param {HTMLElement} element - Container or form
+     * @param {boolean} busy - True when a request starts, false when it finishes
+     */
+    function markBusy(element, busy) {
+        const count = (busyCounts.get(element) || 0) + (busy ? 1 : -1);
+
+        if (count > 0) {
+            busyCounts.set(element, count);
+        } else {
+            busyCounts.delete(element);
+        }
+
+        // Only the first start and the last finish change anything
+        if (busy ? count !== 1 : count > 0) return;
+
+        if (busy) {
+            element.setAttribute('aria-busy', 'true');
+        } else {
+            element.removeAttribute('aria-busy');
+        }
+
+        if (element.tagName !== 'FORM') return;
+
+        queryAll('button[type="submit"], button:not([type]), input[type="submit"]', element).forEach(function(button) {
+            const isInput = button.tagName === 'INPUT';
+
+            if (busy) {
+                // Buttons that were already disabled are not ours to touch
+                if (button.disabled) return;
+
+                busyButtonStates.set(button, isInput ? button.value : button.textContent);
+                button.disabled = true;
+
+                const label = button.dataset.loadingText || gettext('Sending…');
+                if (isInput) {
+                    button.value = label;
+                } else {
+                    button.textContent = label;
+                }
+            } else if (busyButtonStates.has(button)) {
+                const label = busyButtonStates.get(button);
+
+                button.disabled = false;
+                if (isInput) {
+                    button.value = label;
+                } else {
+                    button.textContent = label;
+                }
+                busyButtonStates.delete(button);
+            }
+        });
+    }
+
+    /**
+     * Show or hide the page-wide loading indicators: the spinner, body.ajax-loading
+     * and, for requests that take a while, the progress bar along the top
+     * @param {boolean} loading - Whether any request is running
+     */
+    function toggleLoadingIndicators(loading) {
+        queryAll('.loading-spinner').forEach(function(spinner) {
+            spinner.classList.toggle('show', loading);
+        });
+        document.body.classList.toggle('ajax-loading', loading);
+
+        clearTimeout(loadingProgressTimer);
+
+        if (loading) {
+            loadingProgressTimer = setTimeout(showLoadingProgress, LOADING_PROGRESS_DELAY);
+            return;
+        }
+
+        const bar = document.querySelector('.loading-progress');
+        if (bar && bar.classList.contains('is-active')) {
+            // Run to the end, then fade out
+            bar.classList.remove('is-active');
+            bar.classList.add('is-done');
+            loadingProgressTimer = setTimeout(function() {
+                bar.classList.remove('is-done');
+            }, shouldReduceMotion() ? 0 : 400);
+        }
+    }
+
+    /**
+     * Show the progress bar along the top of the page
+     */
+    function showLoadingProgress() {
+        let bar = document.querySelector('.loading-progress');
+
+        if (!bar) {
+            bar = document.createElement('div');
+            bar.className = 'loading-progress';
+            bar.setAttribute('aria-hidden', 'true');
+            bar.innerHTML = '<div class="loading-progress-bar"></div>';
+            document.body.appendChild(bar);
+        }
+
+        bar.classList.remove('is-done');
+
+        // Start from zero so the bar visibly creeps forward
+        void bar.offsetWidth;
+        bar.classList.add('is-active');
+    }
+
+    // Catch errors from the very start, including the set-up below
+    initErrorReporting();
+
+    // Initialize all functionality when DOM is ready
+    onReady(function() {
+        initScrollAnimations();
+        ajaxPrefetch();
+        smoothScroll();
+        handleModalEvents();
+        interactiveButtons();
+        accessibilityEnhancements();
+        initAccessibilityPreferences();
+        initPreloader();
+        initNotifications();
+        initFormSubmissions(); // Add form submission handler
+        initLiveSearch();
+        enhanceSearchPagination();
+        initPjax();
+        initOfflineOutbox();
+        initDonationWizard();
+        initAnalytics();
+        initLazyMedia();
+        initRequestCancellation();
+        initDisclosures();
+        initNavbar();
+        initCampaigns();
+    });
+
+    /**
+     * Initialize preloader fade effect
+     */
+    function initPreloader() {
+        queryAll('.preloader').forEach(function(preloader) {
+            fadeTo(preloader, 0, 800).then(function() {
+                preloader.style.display = 'none';
+            });
+        });
+
+        // Fade in content wrapper on page load
+        queryAll('.content-wrapper').forEach(function(wrapper) {
+            fadeTo(wrapper, 1, 800);
+        });
+
+        // Remove preload class when done
+        document.body.classList.remove('is-loading');
+        document.body.classList.add('is-loaded');
+    }
+
+    /**
+     * Handle smooth scrolling for anchor links
+     */
+    function smoothScroll() {
+        delegate('click', 'a[href^="#"]', function(e) {
+            if (e.defaultPrevented) return;
+            e.preventDefault();
+
+            const target = getHashTarget(this.getAttribute('href'));
+            if (target) {
+                // Open any accordion panel or tab hiding the target, then clear the header
+                revealHashTarget(target);
+                const offset = target.getBoundingClientRect().top + window.pageYOffset - getHeaderOffset();
+
+                // Skip animation for users who prefer reduced motion
+                window.scrollTo({
+                    top: offset,
+                    behavior: shouldReduceMotion() ? 'auto' : 'smooth'
+                });
+            }
+        });
+    }
+
+    /**
+     * Set up the site navbar ([data-navbar]):
+     *   [data-navbar-toggle]     hamburger button for the menu it aria-controls
+     *   [data-nav-dropdown]      button for the submenu it aria-controls
+     *   data-navbar-autohide     sticky header hides on scroll-down and returns on scroll-up
+     * Links to sections of the current page get aria-current="location" while
+     * their section is in view. --header-offset follows the header height so
+     * CSS scroll-margin and smoothScroll clear it.
+     */
+    function initNavbar() {
+        const navbar = document.querySelector('[data-navbar]');
+
+        getHeaderOffset();
+        window.addEventListener('resize', debounce(getHeaderOffset, 100));
+
+        if (!navbar) return;
+
+        // The menu only collapses behind the hamburger once this script runs
+        navbar.classList.add('is-enhanced');
+
+        const toggle = navbar.querySelector('[data-navbar-toggle]');
+        const menu = toggle && document.getElementById(toggle.getAttribute('aria-controls'));
+        let lastScrollY = window.pageYOffset;
+        let scrollFrame = null;
+
+        if (menu) {
+            toggle.addEventListener('click', function() {
+                setNavbarMenu(toggle, menu, toggle.getAttribute('aria-expanded') !== 'true');
+            });
+
+            // Close the mobile menu once a link is chosen (before smoothScroll measures the header)
+            delegate('click', 'a[href]', function() {
+                setNavbarMenu(toggle, menu, false);
+            }, menu);
+        }
+
+        queryAll('[data-nav-dropdown]', navbar).forEach(function(button) {
+            setNavDropdown(button, false);
+        });
+
+        delegate('click', '[data-nav-dropdown]', function() {
+            setNavDropdown(this, this.getAttribute('aria-expanded') !== 'true');
+        }, navbar);
+
+        navbar.addEventListener('keydown', function(e) {
+            handleNavbarKeydown(navbar, e);
+        });
+
+        // Close a submenu once focus leaves it
+        navbar.addEventListener('focusout', function(e) {
+            queryAll('[data-nav-dropdown][aria-expanded="true"]', navbar).forEach(function(button) {
+                const item = button.parentElement;
+                if (!e.relatedTarget || !item.contains(e.relatedTarget)) {
+                    setNavDropdown(button, false);
+                }
+            });
+        });
+
+        document.addEventListener('click', function(e) {
+            if (navbar.contains(e.target)) return;
+
+            queryAll('[data-nav-dropdown][aria-expanded="true"]', navbar).forEach(function(button) {
+                setNavDropdown(button, false);
+            });
+        });
+
+        // A hidden header comes back as soon as keyboard focus reaches it
+        navbar.addEventListener('focusin', function() {
+            navbar.classList.remove('is-hidden');
+        });
+
+        window.addEventListener('scroll', function() {
+            if (scrollFrame) return;
+
+            scrollFrame = window.requestAnimationFrame(function() {
+                const scrollY = window.pageYOffset;
+
+                scrollFrame = null;
+                updateScrollSpy(navbar);
+
+                if (!navbar.hasAttribute('data-navbar-autohide') || Math.abs(scrollY - lastScrollY) < NAVBAR_HIDE_THRESHOLD) return;
+
+                const menuOpen = toggle && toggle.getAttribute('aria-expanded') === 'true';
+                navbar.classList.toggle('is-hidden', scrollY > lastScrollY && scrollY > navbar.offsetHeight &&
+                    !menuOpen && !navbar.contains(document.activeElement));
+                lastScrollY = scrollY;
+            });
+        }, { passive: true });
+
+        updateScrollSpy(navbar);
+    }
+
+    /**
+     * Open or close the mobile menu
+     * @param {HTMLElement} toggle - Hamburger button
+     * @param {HTMLElement} menu - Menu it controls
+     * @param {boolean} open - Open the menu
+     */
+    function setNavbarMenu(toggle, menu, open) {
+        toggle.setAttribute('aria-expanded', open ? 'true' : 'false');
+        menu.classList.toggle('is-open', open);
+    }
+
+    /**
+     * Open or close a navbar submenu
+     * @param {HTMLElement} button - [data-nav-dropdown] button
+     * @param {boolean} open - Open the submenu
+     */
+    function setNavDropdown(button, open) {
+        const submenu = document.getElementById(button.getAttribute('aria-controls'));
+
+        button.setAttribute('aria-expanded', open ? 'true' : 'false');
+        if (submenu) {
+            submenu.hidden = !open;
+        }
+    }
+
+    /**
+     * Keyboard support for the navbar: arrow keys, Home and End move through an
+     * open submenu, ArrowDown on a dropdown button opens it, and Escape closes the
+     * innermost open menu and returns focus to the button that opened it
+     * @param {HTMLElement} navbar - Navbar element
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    function handleNavbarKeydown(navbar, e) {
+        const button = e.target.closest('[data-nav-dropdown]') || queryAll('[data-nav-dropdown][aria-expanded="true"]', navbar).find(function(candidate) {
+            const submenu = document.getElementById(candidate.getAttribute('aria-controls'));
+            return submenu && submenu.contains(e.target);
+        });
+        const submenu = button && document.getElementById(button.getAttribute('aria-controls'));
+        const links = submenu ? queryAll('a[href], button:not([disabled])', submenu) : [];
+
+        if (e.key === 'Escape') {
+            const toggle = navbar.querySelector('[data-navbar-toggle]');
+
+            if (button && button.getAttribute('aria-expanded') === 'true') {
+                setNavDropdown(button, false);
+                button.focus();
+            } else if (toggle && toggle.getAttribute('aria-expanded') === 'true') {
+                setNavbarMenu(toggle, document.getElementById(toggle.getAttribute('aria-controls')), false);
+                toggle.focus();
+            } else {
+                return;
+            }
+            e.preventDefault();
+            return;
+        }
+
+        if (!links.length || ['ArrowDown', 'ArrowUp', 'Home', 'End'].indexOf(e.key) === -1) return;
+
+        if (e.target === button) {
+            if (e.key !== 'ArrowDown') return;
+            setNavDropdown(button, true);
+            links[0].focus();
+        } else {
+            const index = links.indexOf(e.target);
+            const next = {
+                ArrowDown: (index + 1) % links.length,
+                ArrowUp: (index - 1 + links.length) % links.length,
+                Home: 0,
+                End: links.length - 1
+            }[e.key];
+
+            links[next].focus();
+        }
+        e.preventDefault();
+    }
+
+    /**
+     * Mark the navbar link for the section currently under the header
+     * @param {HTMLElement} navbar - Navbar element
+     */
+    function updateScrollSpy(navbar) {
+        const offset = getHeaderOffset();
+        const atBottom = window.innerHeight + window.pageYOffset >= document.documentElement.scrollHeight - 2;
+        let current = null;
+
+        const spied = queryAll('a[href*="#"]', navbar).filter(function(link) {
+            return link.hash && link.origin === window.location.origin && link.pathname === window.location.pathname;
+        }).map(function(link) {
+            let section = null;
+            try {
+                section = document.getElementById(decodeURIComponent(link.hash.slice(1)));
+            } catch (error) {
+                // Malformed hash: nothing to track
+            }
+            return { link: link, section: section };
+        }).filter(function(entry) {
+            return entry.section;
+        });
+
+        // The last section whose top has passed the header wins; at the very bottom, the last one
+        spied.forEach(function(entry) {
+            if (entry.section.getBoundingClientRect().top <= offset + 1) {
+                current = entry.section;
+            }
+        });
+        if (atBottom && spied.length && window.pageYOffset > 0) {
+            current = spied[spied.length - 1].section;
+        }
+
+        spied.forEach(function(entry) {
+            if (entry.section === current) {
+                entry.link.setAttribute('aria-current', 'location');
+            } else if (entry.link.getAttribute('aria-current') === 'location') {
+                entry.link.removeAttribute('aria-current');
+            }
+        });
+    }
+
+    /**
+     * Measure the fixed or sticky header and publish it as --header-offset
+     * @returns {number} Height in pixels the header covers at the top of the viewport
+     */
+    function getHeaderOffset() {
+        const header = document.querySelector('[data-navbar], .fixed-top, .sticky-top');
+        const position = header ? window.getComputedStyle(header).position : '';
+        const offset = position === 'fixed' || position === 'sticky' ? header.offsetHeight : 0;
+
+        if (offset !== headerOffset) {
+            headerOffset = offset;
+            document.documentElement.style.setProperty('--header-offset', `${offset}px`);
+        }
+        return offset;
+    }
+
+    /**
+     * Initialize scroll animations and section reveals
+     */
+    function initScrollAnimations() {
+        // Add fade-in class to elements when they enter viewport
+        const fadeInElements = queryAll('.fade-in');
+
+        if (shouldReduceMotion()) {
+            // Show all elements immediately for users who prefer reduced motion
+            fadeInElements.forEach(function(element) {
+                element.classList.add('visible');
+            });
+            return;
+        }
+
+        // Use Intersection Observer for better performance if available
+        if ('IntersectionObserver' in window) {
+            const observer = new IntersectionObserver(function(entries) {
+                entries.forEach(function(entry) {
+                    if (entry.isIntersecting) {
+                        entry.target.classList.add('visible');
+                        observer.unobserve(entry.target);
+                    }
+                });
+            }, {
+                threshold: 0.1,
+                rootMargin: '0px 0px -50px 0px'
+            });
+
+            fadeInElements.forEach(function(element) {
+                observer.observe(element);
+            });
+        } else {
+            // Fallback for older browsers
+            window.addEventListener('scroll', debounce(function() {
+                fadeInElements.forEach(function(element) {
+                    const elementTop = element.getBoundingClientRect().top + window.pageYOffset;
+
+                    if (window.pageYOffset + window.innerHeight > elementTop + 100) {
+                        element.classList.add('visible');
+                    }
+                });
+            }, 100));
+        }
+    }
+
+    /**
+     * Set up AJAX prefetching for performance.
+     * Every [data-prefetch="true"] link is prefetched on hover intent; a
+     * data-prefetch-strategy on the link or <body> adds an earlier trigger:
+     * "viewport" (scrolled into view), "idle" (browser idle time) or "link"
+     * (a <link rel="prefetch"> hint). Nothing is prefetched on Save-Data or 2G.
+     * Listeners are delegated, so links added later are prefetched too.
+     */
+    function ajaxPrefetch() {
+        // Prefetch on hover/focus once the pointer has rested briefly
+        delegate('mouseover focusin', '[data-prefetch="true"]', function(e) {
+            if (e.type === 'mouseover' && e.relatedTarget && this.contains(e.relatedTarget)) return;
+
+            const element = this;
+            const delay = parseInt(element.dataset.prefetchDelay || document.body.dataset.prefetchDelay, 10);
+
+            clearTimeout(prefetchHoverTimers.get(element));
+            prefetchHoverTimers.set(element, setTimeout(function() {
+                queuePrefetch(element, true);
+            }, isNaN(delay) ? PREFETCH_HOVER_DELAY : delay));
+        });
+
+        // Passing over a link on the way elsewhere is not intent
+        delegate('mouseout focusout', '[data-prefetch="true"]', function(e) {
+            if (e.relatedTarget && this.contains(e.relatedTarget)) return;
+
+            clearTimeout(prefetchHoverTimers.get(this));
+        });
+
+        schedulePrefetch(document);
+
+        // Handle click to load prefetched content
+        // (HTML ajax-load links are handled by initPjax so history stays in sync)
+        delegate('click', '[data-prefetch="true"]', function(e) {
+            const element = this;
+            const url = element.getAttribute('href') || element.dataset.url;
+
+            // Check if this should be handled as a JSON load
+            if (!url || element.dataset.responseType !== 'json') return;
+            e.preventDefault();
+
+            const container = document.querySelector('.ajax-container');
+            const finishLoading = beginLoading({ container: container });
+            trackEvent(isPrefetched(url, 'json') ? 'prefetch_hit' : 'prefetch_miss', { dataType: 'json' });
+
+            // Served from the cache when fresh, or joins a prefetch still in flight
+            const request = cachedRequest({
+                url: url,
+                dataType: 'json'
+            });
+
+            // The response may replace .ajax-container, so a newer load wins
+            supersedeRequest(container, request);
+
+            request.then(function(data) {
+                finishLoading('success');
+
+                handleJsonResponse(data, element.dataset.jsonHandler || 'default', {
+                    element: element,
+                    url: url
+                });
+            }, function(error) {
+                finishLoading(error.reason === 'abort' ? 'abort' : 'error');
+
+                if (error.reason === 'abort') return;
+
+                log('error', 'Failed to load content:', error);
+                log('debug', `Request status: ${error.status} (${error.reason})`, error.responseText);
+
+                showNotification(gettext('Failed to load content'), 'error');
+            });
+        });
+    }
+
+    /**
+     * Check whether the connection allows speculative requests
+     * @returns {boolean} False with Save-Data on or on a 2G connection
+     */
+    function canPrefetch() {
+        const connection = navigator.connection;
+
+        return !(connection && (connection.saveData || /(^|-)2g$/.test(connection.effectiveType || '')));
+    }
+
+    /**
+     * Get a link's prefetch strategy: its own data-prefetch-strategy, then <body>'s
+     * @param {HTMLElement} element - Prefetch link
+     * @returns {string} 'hover', 'viewport', 'idle' or 'link'
+     */
+    function getPrefetchStrategy(element) {
+        return element.dataset.prefetchStrategy || document.body.dataset.prefetchStrategy || 'hover';
+    }
+
+    /**
+     * Start the viewport, idle and link-hint strategies for the links in an element
+     * @param {Element|Document} scope - Element to scan, e.g. freshly loaded content
+     */
+    function schedulePrefetch(scope) {
+        if (!canPrefetch()) return;
+
+        queryAll('[data-prefetch="true"]', scope).forEach(function(element) {
+            switch (getPrefetchStrategy(element)) {
+                case 'viewport':
+                    if ('IntersectionObserver' in window) {
+                        getPrefetchObserver().observe(element);
+                        break;
+                    }
+                    // Without IntersectionObserver, idle time is the next best thing
+                    whenIdle(function() {
+                        queuePrefetch(element);
+                    });
+                    break;
+                case 'idle':
+                    whenIdle(function() {
+                        queuePrefetch(element);
+                    });
+                    break;
+                case 'link':
+                    addPrefetchHint(element);
+                    break;
+            }
+        });
+    }
+
+    /**
+     * Get the shared observer that prefetches links as they near the viewport
+     * @returns {IntersectionObserver} Observer
+     */
+    function getPrefetchObserver() {
+        if (!prefetchObserver) {
+            prefetchObserver = new IntersectionObserver(function(entries) {
+                entries.forEach(function(entry) {
+                    if (entry.isIntersecting) {
+                        prefetchObserver.unobserve(entry.target);
+                        queuePrefetch(entry.target);
+                    }
+                });
+            }, {
+                rootMargin: '200px 0px'
+            });
+        }
+
+        return prefetchObserver;
+    }
+
+    /**
+     * Run a callback when the browser is idle
+     * @param {Function} callback - Function to run
+     */
+    function whenIdle(callback) {
+        if ('requestIdleCallback' in window) {
+            window.requestIdleCallback(callback, { timeout: 3000 });
+        } else {
+            setTimeout(callback, 200);
+        }
+    }
+
+    /**
+     * Let the browser prefetch a link itself with a <link rel="prefetch"> hint
+     * @param {HTMLElement} element - Prefetch link
+     */
+    function addPrefetchHint(element) {
+        const url = element.getAttribute('href') || element.dataset.url;
+        if (!url) return;
+
+        const href = new URL(url, window.location.href).href;
+        const exists = queryAll('link[rel="prefetch"]', document.head).some(function(link) {
+            return link.href === href;
+        });
+
+        if (!exists) {
+            const hint = document.createElement('link');
+            hint.rel = 'prefetch';
+            hint.href = href;
+            document.head.appendChild(hint);
+        }
+
+        // The browser fetches it now, so hovering the link later must not fetch it again
+        prefetchHints.add(href);
+    }
+
+    /**
+     * Queue a link for prefetching; at most PREFETCH_MAX_CONCURRENT run at once
+     * so prefetches never crowd out the visitor's own requests
+     * @param {HTMLElement} element - Prefetch link
+     * @param {boolean} [interactive=false] - Triggered by hover or focus: jumps the
+     *     queue and reports progress and failures
+     */
+    function queuePrefetch(element, interactive = false) {
+        if (!canPrefetch()) return;
+
+        const queued = prefetchQueue.findIndex(function(item) { return item.element === element; });
+        if (queued !== -1) {
+            if (!interactive) return;
+            prefetchQueue.splice(queued, 1);
+        }
+
+        const item = { element: element, interactive: interactive };
+        if (interactive) {
+            prefetchQueue.unshift(item);
+        } else {
+            prefetchQueue.push(item);
+        }
+
+        drainPrefetchQueue();
+    }
+
+    /**
+     * Start queued prefetches while there is room. Background prefetches wait
+     * while the visitor's own requests are loading; hover and focus ones don't.
+     */
+    function drainPrefetchQueue() {
+        while (activePrefetches < PREFETCH_MAX_CONCURRENT && prefetchQueue.length) {
+            if (loadingCount > 0 && !prefetchQueue[0].interactive) return;
+
+            startPrefetch(prefetchQueue.shift());
+        }
+    }
+
+    /**
+     * Fetch a queued link into the response cache
+     * @param {Object} item - { element, interactive }
+     */
+    function startPrefetch(item) {
+        const element = item.element;
+        const url = element.getAttribute('href') || element.dataset.url;
+        const responseType = element.dataset.responseType || 'default'; // Support for JSON responses
+        const dataType = responseType === 'json' ? 'json' : 'html'; // Handle JSON responses
+
+        if (!url || isPrefetched(url, dataType)) return;
+
+        activePrefetches++;
+
+        // Show loading indicator
+        const finishLoading = item.interactive ? beginLoading() : noop;
+
+        cachedRequest({
+            url: url,
+            dataType: dataType
+        }).then(function(data) {
+            finishLoading('success');
+
+            // Handle JSON responses
+            if (responseType === 'json') {
+                handleJsonResponse(data, element.dataset.jsonHandler || 'default', {
+                    element: element,
+                    url: url
+                });
+            }
+        }, function(error) {
+            finishLoading(error.reason === 'abort' ? 'abort' : 'error');
+
+            // Background prefetches fail quietly; the click will simply fetch again
+            if (error.reason === 'abort' || !item.interactive) return;
+
+            log('error', 'Prefetch failed:', error);
+            log('debug', `Request status: ${error.status} (${error.reason})`, error.responseText);
+
+            // Show user-friendly error
+            showNotification(gettext('Failed to preload content'), 'error');
+        }).then(function() {
+            activePrefetches--;
+            drainPrefetchQueue();
+        });
+    }
+
+    /**
+     * Build the full URL for a GET request, folding object data into the query string
+     * @param {string} url - Request URL
+     * @param {Object|string} [data] - Query data; array values become repeated parameters
+     * @returns {string} Absolute URL
+     */
+    function buildRequestUrl(url, data) {
+        const absolute = new URL(url || window.location.href, window.location.href);
+        let query = data;
+
+        if (typeof data !== 'string') {
+            const params = new URLSearchParams();
+
+            Object.keys(data || {}).forEach(function(name) {
+                [].concat(data[name]).forEach(function(value) {
+                    params.append(name, value == null ? '' : value);
+                });
+            });
+            query = params.toString();
+        }
+
+        if (query) {
+            absolute.search += (absolute.search ? '&' : '') + query;
+        }
+
+        return absolute.href;
+    }
+
+    /**
+     * Describe a failed request
+     * @param {string} reason - 'abort', 'timeout', 'network', 'http' or 'parse'
+     * @param {number} status - HTTP status, 0 when no response arrived
+     * @param {string} responseText - Response body
+     * @returns {Error} Error with reason, status and responseText
+     */
+    function createRequestError(reason, status, responseText) {
+        const error = new Error(reason === 'http' ? `Request failed with status ${status}` : `Request failed: ${reason}`);
+
+        error.reason = reason;
+        error.status = status;
+        error.responseText = responseText || '';
+        return error;
+    }
+
+    /**
+     * Send a request with fetch.
+     * Every attempt has a timeout; idempotent requests (GET, HEAD, OPTIONS, PUT
+     * and DELETE) are retried with exponential backoff after network errors,
+     * timeouts and 5xx responses. POSTs are sent once. Requests still
+     * running when the visitor leaves the page are aborted.
+     * @param {Object} options - url, method, headers, body, dataType ('json' or 'html'),
+     *     cache (a fetch cache mode), timeout in ms (0 for none), retries and signal
+     *     (an AbortSignal that cancels like abort())
+     * @returns {Promise} Resolves with { data, status, headers } and rejects with a
+     *     request error (see createRequestError); has an abort() method
+     */
+    function performRequest(options) {
+        const url = new URL(options.url || window.location.href, window.location.href).href;
+        const method = (options.method || 'GET').toUpperCase();
+        const dataType = options.dataType || 'html';
+        const timeout = options.timeout !== undefined ? options.timeout : REQUEST_TIMEOUT;
+        const headers = Object.assign({
+            Accept: dataType === 'json' ? 'application/json' : 'text/html'
+        }, options.headers);
+        const retries = options.retries !== undefined ? options.retries :
+            (/^(GET|HEAD|OPTIONS|PUT|DELETE)$/.test(method) ? REQUEST_RETRIES : 0);
+
+        // Lets Django tell script requests from page loads; never sent cross-origin
+        if (isSameOrigin(url)) {
+            headers['X-Requested-With'] = 'XMLHttpRequest';
+        }
+
+        let controller = null;
+        let cancelled = false;
+        let cancelBackoff = noop;
+
+        const attempt = function(retryNumber) {
+            const attemptController = new AbortController();
+            let timedOut = false;
+            const timer = timeout ? setTimeout(function() {
+                timedOut = true;
+                attemptController.abort();
+            }, timeout) : null;
+
+            controller = attemptController;
+
+            return fetch(url, {
+                method: method,
+                headers: headers,
+                body: options.body,
+                cache: options.cache || 'default',
+                credentials: 'same-origin',
+                signal: attemptController.signal
+            }).then(function(response) {
+                return response.text().then(function(text) {
+                    // 304 only arrives for our own revalidation of a cached entry
+                    if (!response.ok && response.status !== 304) {
+                        throw createRequestError('http', response.status, text);
+                    }
+
+                    let data = text;
+                    if (dataType === 'json') {
+                        try {
+                            data = text ? JSON.parse(text) : {};
+                        } catch (e) {
+                            throw createRequestError('parse', response.status, text);
+                        }
+                    }
+
+                    return { data: data, status: response.status, headers: response.headers };
+                });
+            }).then(function(result) {
+                clearTimeout(timer);
+                return result;
+            }, function(error) {
+                clearTimeout(timer);
+
+                if (!error.reason) {
+                    error = createRequestError(cancelled ? 'abort' : (timedOut ? 'timeout' : 'network'), 0, '');
+                }
+
+                const transient = error.reason === 'network' || error.reason === 'timeout' ||
+                    (error.reason === 'http' && error.status >= 500);
+                if (cancelled || !transient || retryNumber >= retries) {
+                    throw error;
+                }
+
+                // 0.5s, 1s, 2s... with jitter so clients do not retry in lockstep
+                const delay = REQUEST_RETRY_DELAY * Math.pow(2, retryNumber) * (1 + Math.random() * 0.5);
+                return new Promise(function(resolve, reject) {
+                    const backoff = setTimeout(resolve, delay);
+
+                    cancelBackoff = function() {
+                        clearTimeout(backoff);
+                        reject(createRequestError('abort', 0, ''));
+                    };
+                }).then(function() {
+                    cancelBackoff = noop;
+                    return attempt(retryNumber + 1);
+                });
+            });
+        };
+
+        const promise = attempt(0);
+
+        promise.abort = function() {
+            cancelled = true;
+            controller.abort();
+            cancelBackoff();
+        };
+        followSignal(promise, options.signal);
+
+        openRequests.add(promise);
+        promise.then(function() {
+            openRequests.delete(promise);
+        }, function() {
+            openRequests.delete(promise);
+        });
+
+        return promise;
+    }
+
+    /**
+     * Upload a multipart body with XMLHttpRequest, which unlike fetch reports
+     * upload progress. Uploads are not retried.
+     * @param {Object} options - url, method, headers, body (FormData), timeout in ms,
+     *     onProgress, called with the uploaded share (0 to 1), and signal (an
+     *     AbortSignal that cancels like abort())
+     * @returns {Promise} Resolves with { data, status, headers } and rejects with a
+     *     request error (see createRequestError); has an abort() method
+     */
+    function performUpload(options) {
+        const xhr = new XMLHttpRequest();
+        const url = new URL(options.url || window.location.href, window.location.href).href;
+        const headers = Object.assign({ Accept: 'application/json' }, options.headers);
+
+        if (isSameOrigin(url)) {
+            headers['X-Requested-With'] = 'XMLHttpRequest';
+        }
+
+        const promise = new Promise(function(resolve, reject) {
+            xhr.open(options.method || 'POST', url);
+            xhr.timeout = options.timeout !== undefined ? options.timeout : UPLOAD_TIMEOUT;
+            Object.keys(headers).forEach(function(name) {
+                xhr.setRequestHeader(name, headers[name]);
+            });
+
+            if (options.onProgress) {
+                xhr.upload.addEventListener('progress', function(e) {
+                    if (e.lengthComputable) {
+                        options.onProgress(e.loaded / e.total);
+                    }
+                });
+            }
+
+            xhr.onload = function() {
+                if (xhr.status < 200 || xhr.status >= 300) {
+                    reject(createRequestError('http', xhr.status, xhr.responseText));
+                    return;
+                }
+
+                try {
+                    resolve({
+                        data: xhr.responseText ? JSON.parse(xhr.responseText) : {},
+                        status: xhr.status,
+                        headers: { get: function(name) { return xhr.getResponseHeader(name); } }
+                    });
+                } catch (e) {
+                    reject(createRequestError('parse', xhr.status, xhr.responseText));
+                }
+            };
+            xhr.onerror = function() {
+                reject(createRequestError('network', 0, ''));
+            };
+            xhr.ontimeout = function() {
+                reject(createRequestError('timeout', 0, ''));
+            };
+            xhr.onabort = function() {
+                reject(createRequestError('abort', 0, ''));
+            };
+
+            xhr.send(options.body);
+        });
+
+        promise.abort = function() {
+            xhr.abort();
+        };
+        followSignal(promise, options.signal);
+
+        openRequests.add(promise);
+        promise.then(function() {
+            openRequests.delete(promise);
+        }, function() {
+            openRequests.delete(promise);
+        });
+
+        return promise;
+    }
+
+    /**
+     * Abort a request when an outside signal fires, or at once if it already has
+     * @param {Promise} request - Request with an abort() method
+     * @param {AbortSignal} [signal] - Signal to follow
+     */
+    function followSignal(request, signal) {
+        if (!signal) return;
+
+        if (signal.aborted) {
+            request.abort();
+        } else {
+            signal.addEventListener('abort', request.abort, { once: true });
+        }
+    }
+
+    /**
+     * Abort the previous request for a target when a newer one starts, so a slow
+     * earlier response cannot overwrite a newer one
+     * @param {*} target - What the request updates, e.g. a container element or selector
+     * @param {Object} request - Promise with an abort() method
+     */
+    function supersedeRequest(target, request) {
+        const key = (typeof target === 'string' && toElement(target)) || target;
+        if (!key) return;
+
+        const previous = targetRequests.get(key);
+        if (previous && previous !== request) {
+            previous.abort();
+        }
+        targetRequests.set(key, request);
+
+        const release = function() {
+            if (targetRequests.get(key) === request) {
+                targetRequests.delete(key);
+            }
+        };
+        request.then(release, release);
+    }
+
+    /**
+     * Abort every running request when the visitor leaves the page
+     */
+    function initRequestCancellation() {
+        window.addEventListener('pagehide', function() {
+            openRequests.forEach(function(request) {
+                request.abort();
+            });
+        });
+    }
+
+    /**
+     * Parse the Cache-Control response header
+     * @param {string|null} header - Header value
+     * @returns {Object} Directives: noStore, noCache and maxAge (seconds or null)
+     */
+    function parseCacheControl(header) {
+        const directives = { noStore: false, noCache: false, maxAge: null };
+
+        (header || '').toLowerCase().split(',').forEach(function(part) {
+            const [name, value] = part.trim().split('=');
+
+            if (name === 'no-store') directives.noStore = true;
+            if (name === 'no-cache') directives.noCache = true;
+            if (name === 'max-age' && !isNaN(parseInt(value, 10))) directives.maxAge = parseInt(value, 10);
+        });
+
+        return directives;
+    }
+
+    /**
+     * Look up a cache entry and mark it as most recently used
+     * @param {string} key - Cache key
+     * @returns {Object|undefined} Cache entry
+     */
+    function getCacheEntry(key) {
+        const entry = responseCache.get(key);
+
+        if (entry) {
+            responseCache.delete(key);
+            responseCache.set(key, entry);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Store a response, honouring Cache-Control and keeping validators for revalidation
+     * @param {string} key - Cache key
+     * @param {string} url - Absolute request URL
+     * @param {*} data - Response data
+     * @param {Headers} headers - Response headers
+     */
+    function storeCacheEntry(key, url, data, headers) {
+        const cacheControl = parseCacheControl(headers.get('Cache-Control'));
+        const etag = headers.get('ETag');
+        const lastModified = headers.get('Last-Modified');
+
+        responseCache.delete(key);
+
+        // no-cache entries are kept only if they can be revalidated
+        if (cacheControl.noStore || (cacheControl.noCache && !etag && !lastModified)) return;
+
+        const ttl = cacheControl.noCache ? 0 : (cacheControl.maxAge !== null ? cacheControl.maxAge * 1000 : CACHE_DEFAULT_TTL);
+
+        responseCache.set(key, {
+            url: url,
+            data: data,
+            etag: etag,
+            lastModified: lastModified,
+            expires: Date.now() + ttl
+        });
+
+        // Evict least recently used entries
+        while (responseCache.size > CACHE_MAX_ENTRIES) {
+            responseCache.delete(responseCache.keys().next().value);
+        }
+    }
+
+    /**
+     * Check whether a URL has a cached response that needs no revalidation
+     * @param {string} url - Request URL
+     * @param {string} dataType - Expected data type (html, json)
+     * @returns {boolean} True when a fresh entry exists
+     */
+    function hasFreshCacheEntry(url, dataType) {
+        const entry = responseCache.get(`${dataType} ${buildRequestUrl(url)}`);
+        return !!entry && entry.expires > Date.now();
+    }
+
+    /**
+     * Check whether a URL's response is already cached, on its way, or being
+     * prefetched by the browser from a <link rel="prefetch"> hint
+     * @param {string} url - Request URL
+     * @param {string} dataType - Expected data type (html, json)
+     * @returns {boolean} True when prefetching it again would be wasted
+     */
+    function isPrefetched(url, dataType) {
+        const absolute = buildRequestUrl(url);
+
+        return hasFreshCacheEntry(url, dataType) || inFlightRequests.has(`${dataType} ${absolute}`) || prefetchHints.has(absolute);
+    }
+
+    /**
+     * Perform a cached GET request.
+     * Fresh entries resolve immediately, stale entries are revalidated with
+     * If-None-Match/If-Modified-Since, and concurrent requests for the same
+     * URL share a single fetch.
+     * @param {Object} requestOptions - url, data, dataType, headers, timeout and retries
+     * @returns {Promise} Resolves with the response data; has an abort() method
+     */
+    function cachedRequest(requestOptions) {
+        const url = buildRequestUrl(requestOptions.url, requestOptions.data);
+        const key = `${requestOptions.dataType || 'html'} ${url}`;
+        const entry = getCacheEntry(key);
+
+        if (entry && entry.expires > Date.now()) {
+            const cached = Promise.resolve(entry.data);
+            cached.abort = noop;
+            return cached;
+        }
+
+        let shared = inFlightRequests.get(key);
+        if (!shared) {
+            const headers = Object.assign({}, requestOptions.headers);
+
+            if (entry && entry.etag) headers['If-None-Match'] = entry.etag;
+            if (entry && entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+
+            shared = { consumers: 0 };
+            shared.request = performRequest({
+                url: url,
+                method: 'GET',
+                dataType: requestOptions.dataType,
+                headers: headers,
+                timeout: requestOptions.timeout,
+                retries: requestOptions.retries
+            });
+            shared.promise = shared.request.then(function(result) {
+                // 304 Not Modified: the cached copy is still good
+                const data = result.status === 304 && entry ? entry.data : result.data;
+
+                inFlightRequests.delete(key);
+                storeCacheEntry(key, url, data, result.headers);
+                return data;
+            }, function(error) {
+                inFlightRequests.delete(key);
+                throw error;
+            });
+
+            inFlightRequests.set(key, shared);
+        }
+
+        shared.consumers++;
+
+        let settled = false;
+        let rejectConsumer;
+        const promise = new Promise(function(resolve, reject) {
+            rejectConsumer = reject;
+            shared.promise.then(resolve, reject);
+        });
+        promise.then(function() { settled = true; }, function() { settled = true; });
+
+        // Aborting only cancels the shared fetch once nobody else is waiting on it
+        promise.abort = function() {
+            if (settled) return;
+
+            settled = true;
+            shared.consumers--;
+            rejectConsumer(createRequestError('abort', 0, ''));
+
+            if (!shared.consumers) {
+                shared.request.abort();
+            }
+        };
+
+        return promise;
+    }
+
+    /**
+     * Remove cached responses whose URL starts with the given prefix
+     * @param {string} prefix - URL or path prefix, e.g. '/events/'
+     * @returns {number} Number of entries removed
+     */
+    function invalidateCache(prefix) {
+        const absolutePrefix = buildRequestUrl(prefix);
+        let removed = 0;
+
+        responseCache.forEach(function(entry, key) {
+            if (entry.url.indexOf(absolutePrefix) === 0) {
+                responseCache.delete(key);
+                removed++;
+            }
+        });
+
+        return removed;
+    }
+
+    /**
+     * Empty the response cache
+     */
+    function clearCache() {
+        responseCache.clear();
+    }
+
+    /**
+     * Load AJAX content into container
+     * @param {string} content - HTML content to load
+     * @param {Function} [callback] - Called with the container once the new content is in place
+     */
+    function loadAjaxContent(content, callback) {
+        const container = document.querySelector('.ajax-container');
+        if (container) {
+            fadeTo(container, 0, 300).then(function() {
+                container.innerHTML = content;
+                schedulePrefetch(container);
+                lazyLoadImages(container);
+                enhanceDisclosures(container);
+                enhanceCampaigns(container);
+                enhanceSearchPagination(container);
+                return fadeTo(container, 1, 300);
+            }).then(function() {
+                if (callback) callback(container);
+            });
+
+            // Announce content change for screen readers
+            announceToScreenReader(gettext('Content loaded successfully'));
+
+            // Re-initialize animations for new content
+            setTimeout(initScrollAnimations, 100);
+        }
+    }
+
+    // Snapshots of pages visited through ajax-load links, keyed by URL
+    const pjaxSnapshots = new Map();
+    const PJAX_SNAPSHOT_LIMIT = 20;
+    let pjaxCurrentUrl = window.location.href;
+
+    /**
+     * Set up history-aware navigation for ajax-load links.
+     * Swapped pages get their own URL, title and history entry, and
+     * back/forward restores the cached content and scroll position.
+     */
+    function initPjax() {
+        if (!document.querySelector('.ajax-container') || !(window.history && window.history.pushState)) return;
+
+        // We restore scroll positions ourselves when swapping content
+        if ('scrollRestoration' in window.history) {
+            window.history.scrollRestoration = 'manual';
+        }
+
+        window.history.replaceState(Object.assign({}, window.history.state, { pjax: true }), '', window.location.href);
+
+        delegate('click', 'a.ajax-load', function(e) {
+            const link = this;
+
+            // JSON links are handled by ajaxPrefetch
+            if (link.dataset.responseType === 'json') return;
+
+            // Let the browser handle new tabs, downloads and cross-origin links
+            if (e.defaultPrevented || e.button > 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+            if (link.target && link.target !== '_self') return;
+            if (link.hasAttribute('download') || link.origin !== window.location.origin) return;
+
+            // Same-page anchors are left to smoothScroll
+            if (link.pathname === window.location.pathname && link.search === window.location.search && link.hash) return;
+
+            e.preventDefault();
+            pjaxNavigate(link.href);
+        });
+
+        window.addEventListener('popstate', function(e) {
+            const state = e.state;
+
+            // Hash-only changes and entries we did not create are left alone
+            if (!state || !state.pjax || window.location.href === pjaxCurrentUrl) return;
+
+            // The URL has already changed, so the page leaving is only kept in memory
+            savePjaxSnapshot(false);
+            pjaxCurrentUrl = window.location.href;
+
+            const snapshot = pjaxSnapshots.get(pjaxCurrentUrl);
+            if (snapshot) {
+                renderPjaxPage(snapshot, snapshot.scrollY);
+            } else {
+                fetchPjaxPage(pjaxCurrentUrl, function(page) {
+                    renderPjaxPage(page, state.scrollY || 0);
+                });
+            }
+        });
+    }
+
+    /**
+     * Navigate to a URL by swapping .ajax-container and pushing a history entry
+     * @param {string} url - Same-origin URL to load
+     */
+    function pjaxNavigate(url) {
+        if (!document.querySelector('.ajax-container') || !isSameOrigin(url)) {
+            window.location.href = url;
+            return;
+        }
+
+        trackEvent(isPrefetched(url, 'html') ? 'prefetch_hit' : 'prefetch_miss', { dataType: 'html' });
+
+        fetchPjaxPage(url, function(page) {
+            savePjaxSnapshot();
+            window.history.pushState({ pjax: true }, '', url);
+            pjaxCurrentUrl = window.location.href;
+            renderPjaxPage(page, 0);
+        });
+    }
+
+    /**
+     * Fetch a page for PJAX navigation, falling back to a full load on error
+     * @param {string} url - URL to fetch
+     * @param {Function} callback - Receives the parsed page
+     */
+    function fetchPjaxPage(url, callback) {
+        const container = document.querySelector('.ajax-container');
+        const finishLoading = beginLoading({ container: container });
+
+        // Prefetched markup is served from the shared cache
+        const request = cachedRequest({
+            url: url,
+            dataType: 'html'
+        });
+        supersedeRequest(container, request);
+
+        request.then(function(html) {
+            finishLoading('success');
+            callback(parsePjaxFragment(html));
+        }, function(error) {
+            finishLoading(error.reason === 'abort' ? 'abort' : 'error');
+
+            if (error.reason === 'abort') return;
+
+            // Let the browser show whatever the server sent
+            window.location.href = url;
+        });
+    }
+
+    /**
+     * Extract container content, title and meta description from fetched HTML
+     * @param {string} html - Full page or fragment markup
+     * @returns {Object} Parsed page with content, title and description
+     */
+    function parsePjaxFragment(html) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const container = doc.querySelector('.ajax-container');
+        const title = doc.querySelector('title');
+        const description = doc.querySelector('meta[name="description"]');
+
+        return {
+            content: container ? container.innerHTML : doc.body.innerHTML,
+            title: title ? title.textContent.replace(/\s+/g, ' ').trim() : document.title,
+            description: description ? description.getAttribute('content') : null
+        };
+    }
+
+    /**
+     * Remember the current page so back/forward can restore it without a request
+     * @param {boolean} [updateHistory=true] - Also record the scroll position in the
+     *     current history entry; false on popstate, where that entry is already
+     *     the one being restored
+     */
+    function savePjaxSnapshot(updateHistory = true) {
+        const description = document.querySelector('meta[name="description"]');
+
+        pjaxSnapshots.delete(pjaxCurrentUrl);
+        pjaxSnapshots.set(pjaxCurrentUrl, {
+            content: document.querySelector('.ajax-container').innerHTML,
+            title: document.title,
+            description: description ? description.getAttribute('content') : null,
+            scrollY: window.pageYOffset
+        });
+
+        // Drop the oldest snapshot once the limit is reached
+        if (pjaxSnapshots.size > PJAX_SNAPSHOT_LIMIT) {
+            pjaxSnapshots.delete(pjaxSnapshots.keys().next().value);
+        }
+
+        if (updateHistory) {
+            window.history.replaceState(Object.assign({}, window.history.state, { pjax: true, scrollY: window.pageYOffset }), '');
+        }
+    }
+
+    /**
+     * Swap in a page, update document metadata and move focus to its heading
+     * @param {Object} page - Parsed page with content, title and description
+     * @param {number} scrollY - Scroll position to restore
+     */
+    function renderPjaxPage(page, scrollY) {
+        loadAjaxContent(page.content, function(container) {
+            document.title = page.title;
+
+            let description = document.querySelector('meta[name="description"]');
+            if (page.description === null) {
+                if (description) description.remove();
+            } else {
+                if (!description) {
+                    description = document.createElement('meta');
+                    description.name = 'description';
+                    document.head.appendChild(description);
+                }
+                description.setAttribute('content', page.description);
+            }
+
+            // Move focus to the new main heading so screen readers start there
+            const heading = container.querySelector('h1') || container;
+            if (!heading.hasAttribute('tabindex')) {
+                heading.setAttribute('tabindex', '-1');
+            }
+            heading.focus({ preventScroll: true });
+
+            window.scrollTo(0, scrollY);
+        });
+    }
+
+    /**
+     * Handle interactive buttons with hover effects
+     */
+    function interactiveButtons() {
+        // Add hover effects to buttons (subtle scale and glow)
+        delegate('mouseover focusin', '.btn-donate, .btn-cta', function(e) {
+            if (shouldReduceMotion()) return;
+            if (e.type === 'mouseover' && e.relatedTarget && this.contains(e.relatedTarget)) return;
+            this.classList.add('btn-hover');
+            document.body.classList.add('button-hovered');
+        });
+        delegate('mouseout focusout', '.btn-donate, .btn-cta', function(e) {
+            if (e.relatedTarget && this.contains(e.relatedTarget)) return;
+            this.classList.remove('btn-hover');
+            document.body.classList.remove('button-hovered');
+        });
+
+        // Handle donate button click
+        delegate('click', '.btn-donate', function(e) {
+            const modal = document.getElementById('donateModal');
+
+            trackEvent('donate_click', { modal: !!modal });
+
+            // Without the modal the link's own href (the Navbar block's button_url) is used
+            if (!modal) return;
+            e.preventDefault();
+
+            // Remember where the plain donation page lives for fallbacks
+            if (this.getAttribute('href')) {
+                modal.dataset.fallbackUrl = this.getAttribute('href');
+            }
+
+            // Show confirmation modal
+            showModal(modal, this);
+        });
+
+        // Handle Enter and Space key presses for buttons
+        delegate('keydown', '.btn', function(e) {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                this.click();
+            }
+        });
+    }
+
+    /**
+     * Handle modal events with accessibility.
+     * Open dialogs form a stack: Tab is trapped in the topmost one, everything
+     * behind it is inert, Escape closes only the top, and each dialog returns
+     * focus to whatever opened it. Works with or without Bootstrap's plugin.
+     */
+    function handleModalEvents() {
+        // Remember what had focus when the modal was asked to open
+        document.addEventListener('show.bs.modal', function(e) {
+            const modal = e.target;
+            if (!modal.classList || !modal.classList.contains('modal')) return;
+            modalReturnFocus.set(modal, e.relatedTarget || document.activeElement);
+
+            // A dialog opened from inside another one sits in the inert background: wake it up
+            const revived = [];
+            for (let node = modal; node && node !== document.body; node = node.parentElement) {
+                if (node.inert) {
+                    node.inert = false;
+                    node.removeAttribute('aria-hidden');
+                    revived.push(node);
+                }
+            }
+            modalRevived.set(modal, revived);
+        });
+
+        // When modal opens
+        document.addEventListener('shown.bs.modal', function(e) {
+            if (!e.target.classList || !e.target.classList.contains('modal')) return;
+            pushModal(e.target);
+        });
+
+        // When modal hides
+        document.addEventListener('hidden.bs.modal', function(e) {
+            if (!e.target.classList || !e.target.classList.contains('modal')) return;
+            popModal(e.target);
+        });
+
+        // Capture phase so Tab stays in the topmost dialog whatever has focus
+        document.addEventListener('keydown', function(e) {
+            const top = modalStack[modalStack.length - 1];
+
+            if (top && e.key === 'Tab') {
+                trapFocus(top.modal, e);
+            }
+        }, true);
+
+        // Escape closes the topmost dialog only once the control that has focus
+        // has had its chance to use it, e.g. to close a suggestion list
+        document.addEventListener('keydown', function(e) {
+            const top = modalStack[modalStack.length - 1];
+
+            if (!top || e.key !== 'Escape' || e.defaultPrevented) return;
+            if (e.target instanceof Element && e.target.closest(OWN_ESCAPE_SELECTOR)) return;
+
+            e.preventDefault();
+
+            // Static dialogs opt out of keyboard dismissal
+            if (String(top.modal.getAttribute('data-bs-keyboard') || top.modal.getAttribute('data-keyboard')) !== 'false') {
+                hideModal(top.modal);
+            }
+        });
+
+        // Focus that escapes by mouse or script is pulled back in
+        document.addEventListener('focusin', function(e) {
+            const top = modalStack[modalStack.length - 1];
+            const opening = e.target instanceof Element ? e.target.closest('.modal') : null;
+
+            // A nested dialog that is still opening may take focus, and so may a toast's buttons
+            if (opening && modalRevived.has(opening)) return;
+            if (e.target instanceof Element && e.target.closest('.notification-center')) return;
+
+            if (top && !top.modal.contains(e.target)) {
+                focusModal(top.modal);
+            }
+        });
+
+        // Without Bootstrap's plugin, drive the data-API ourselves.
+        // Checked per click, as Bootstrap may load after this script.
+        delegate('click', '[data-bs-toggle="modal"], [data-toggle="modal"]', function(e) {
+            if (hasBootstrapModal()) return;
+
+            const target = this.getAttribute('data-bs-target') || this.getAttribute('data-target') || this.getAttribute('href');
+            const modal = target && target !== '#' ? document.querySelector(target) : null;
+
+            if (modal) {
+                e.preventDefault();
+                showModal(modal, this);
+            }
+        });
+
+        delegate('click', '.modal [data-bs-dismiss="modal"], .modal [data-dismiss="modal"]', function(e) {
+            if (hasBootstrapModal()) return;
+
+            e.preventDefault();
+            hideModal(this.closest('.modal'));
+        });
+
+        // Clicking the backdrop area outside the dialog box closes it
+        delegate('click', '.modal.show', function(e) {
+            if (hasBootstrapModal()) return;
+
+            if (e.target === this && String(this.getAttribute('data-bs-backdrop') || this.getAttribute('data-backdrop')) !== 'static') {
+                hideModal(this);
+            }
+        });
+    }
+
+    /**
+     * Set up the multi-step donation wizard inside #donateModal.
+     * Steps are [data-step] panels; choices stay in the form while the modal
+     * is closed, so reopening it continues where the donor left off.
+     */
+    function initDonationWizard() {
+        queryAll('form[data-donation-wizard]').forEach(function(form) {
+            const modal = form.closest('.modal');
+            const wizard = {
+                form: form,
+                modal: modal,
+                currency: (modal && modal.dataset.currency) || 'USD',
+                steps: queryAll('[data-step]', form),
+                index: 0
+            };
+
+            if (!wizard.steps.length) return;
+
+            // Preset amounts arrive as plain numbers; show them the way the page
+            // language writes money, without cents for whole amounts
+            queryAll('[data-amount-label]', form).forEach(function(label) {
+                const amount = parseFloat(label.dataset.amountLabel);
+
+                label.textContent = formatCurrency(amount, wizard.currency, Number.isInteger(amount) ? {
+                    minimumFractionDigits: 0,
+                    maximumFractionDigits: 0
+                } : {});
+            });
+
+            initFormValidation([form]);
+
+            // The custom amount and dedication fields only apply when chosen
+            delegate('change', '[name="amount"], [name="dedicate"]', function() {
+                syncDonationFields(wizard);
+            }, form);
+            syncDonationFields(wizard);
+
+            delegate('click', '[data-wizard-next]', function() {
+                const errors = validateForm(form, wizard.steps[wizard.index]);
+
+                if (Object.keys(errors).length) {
+                    displayFormErrors(errors, form);
+                    return;
+                }
+
+                clearFormErrors(form);
+                showDonationStep(wizard, wizard.index + 1);
+            }, form);
+
+            delegate('click', '[data-wizard-back]', function() {
+                clearFormErrors(form);
+                showDonationStep(wizard, wizard.index - 1);
+            }, form);
+
+            form.addEventListener('submit', function(e) {
+                e.preventDefault();
+                submitDonation(wizard);
+            });
+
+            showDonationStep(wizard, 0, false);
+        });
+    }
+
+    /**
+     * Show one wizard step and update the progress text and buttons
+     * @param {Object} wizard - Donation wizard state
+     * @param {number} index - Step index
+     * @param {boolean} [moveFocus=true] - Focus the step heading
+     */
+    function showDonationStep(wizard, index, moveFocus = true) {
+        const form = wizard.form;
+        const total = wizard.steps.length;
+
+        wizard.index = Math.max(0, Math.min(index, total - 1));
+        wizard.steps.forEach(function(step, i) {
+            step.hidden = i !== wizard.index;
+        });
+
+        const step = wizard.steps[wizard.index];
+        const isLast = wizard.index === total - 1;
+
+        if (step.dataset.step === 'review') {
+            renderDonationReview(wizard);
+        }
+
+        queryAll('[data-step-current]', form).forEach(function(element) {
+            element.textContent = formatNumber(wizard.index + 1);
+        });
+        queryAll('[data-step-total]', form).forEach(function(element) {
+            element.textContent = formatNumber(total);
+        });
+        queryAll('[data-wizard-back]', form).forEach(function(button) {
+            button.hidden = wizard.index === 0;
+        });
+        queryAll('[data-wizard-next]', form).forEach(function(button) {
+            button.hidden = isLast;
+        });
+        queryAll('[data-wizard-submit]', form).forEach(function(button) {
+            button.hidden = !isLast;
+        });
+
+        if (moveFocus) {
+            const target = step.querySelector('legend, h3') || step;
+
+            target.setAttribute('tabindex', '-1');
+            target.focus();
+        }
+    }
+
+    /**
+     * Enable the custom amount and dedication fields only when they are chosen
+     * @param {Object} wizard - Donation wizard state
+     */
+    function syncDonationFields(wizard) {
+        const form = wizard.form;
+        const chosenAmount = form.querySelector('[name="amount"]:checked');
+        const customChosen = !!chosenAmount && chosenAmount.value === 'other';
+        const dedicate = form.querySelector('[name="dedicate"]');
+        const dedicated = !!dedicate && dedicate.checked;
+
+        queryAll('[data-custom-amount]', form).forEach(function(wrapper) {
+            wrapper.hidden = !customChosen;
+            queryAll('input', wrapper).forEach(function(input) {
+                input.disabled = !customChosen;
+                input.required = customChosen;
+            });
+        });
+        queryAll('[data-dedication-fields]', form).forEach(function(wrapper) {
+            wrapper.hidden = !dedicated;
+            queryAll('input, textarea', wrapper).forEach(function(input) {
+                input.disabled = !dedicated;
+            });
+        });
+        queryByName(form, 'dedication_name').forEach(function(input) {
+            input.required = dedicated;
+        });
+    }
+
+    /**
+     * Build the JSON payload from the wizard's fields
+     * @param {Object} wizard - Donation wizard state
+     * @returns {Object} Donation payload
+     */
+    function getDonationPayload(wizard) {
+        const form = wizard.form;
+        const field = function(name) {
+            const input = queryByName(form, name).filter(function(element) {
+                return element.type !== 'radio' || element.checked;
+            })[0];
+            return input ? input.value.trim() : '';
+        };
+        const amount = field('amount') === 'other' ? field('custom_amount') : field('amount');
+        const dedicate = form.querySelector('[name="dedicate"]');
+
+        return {
+            amount: parseFloat(amount) || 0,
+            currency: wizard.currency,
+            frequency: field('frequency') || 'one-time',
+            dedication: dedicate && dedicate.checked ? {
+                type: field('dedication_type') || 'honour',
+                name: field('dedication_name'),
+                message: field('dedication_message')
+            } : null,
+            donor: {
+                first_name: field('first_name'),
+                last_name: field('last_name'),
+                email: field('email'),
+                phone: field('phone')
+            }
+        };
+    }
+
+    /**
+     * Fill the review step with the donor's choices
+     * @param {Object} wizard - Donation wizard state
+     */
+    function renderDonationReview(wizard) {
+        const payload = getDonationPayload(wizard);
+        const list = wizard.form.querySelector('[data-donation-review]');
+        const dedication = payload.dedication;
+        const rows = [
+            [gettext('Amount'), formatCurrency(payload.amount, payload.currency)],
+            [gettext('Frequency'), payload.frequency === 'monthly' ? gettext('Monthly') : gettext('One-time')],
+            [gettext('Dedication'), !dedication ? gettext('None') : dedication.type === 'memory' ?
+                gettext('In memory of {name}', { name: dedication.name }) : gettext('In honour of {name}', { name: dedication.name })],
+            [gettext('Name'), `${payload.donor.first_name} ${payload.donor.last_name}`],
+            [gettext('Email'), payload.donor.email]
+        ];
+
+        if (!list) return;
+
+        if (payload.donor.phone) {
+            rows.push([gettext('Phone'), payload.donor.phone]);
+        }
+
+        list.replaceChildren.apply(list, rows.map(function(row) {
+            return renderTemplate('donation-review-row', { label: row[0], value: row[1] });
+        }));
+    }
+
+    /**
+     * Post the completed donation to the configured endpoint
+     * @param {Object} wizard - Donation wizard state
+     */
+    function submitDonation(wizard) {
+        const form = wizard.form;
+        const errors = validateForm(form);
+
+        if (Object.keys(errors).length) {
+            displayFormErrors(errors, form);
+            jumpToDonationError(wizard);
+            return;
+        }
+
+        const endpoint = wizard.modal && wizard.modal.dataset.donationEndpoint;
+
+        // With nowhere to post to, carry on at the plain donation page as before
+        if (!endpoint) {
+            window.location.href = (wizard.modal && wizard.modal.dataset.fallbackUrl) || '/donate/';
+            return;
+        }
+
+        const payload = getDonationPayload(wizard);
+
+        sendJsonRequest(endpoint, payload, 'POST', {
+            formSelector: form,
+            responseType: 'form'
+        }).then(function(data) {
+            if (data.form_errors) return;
+
+            trackEvent('donate_submit', { frequency: payload.frequency, currency: payload.currency });
+
+            // Start fresh next time; a redirect (e.g. to a payment page) is handled by processJsonData
+            form.reset();
+            syncDonationFields(wizard);
+            showDonationStep(wizard, 0, false);
+
+            if (!data.redirect) {
+                hideModal(wizard.modal);
+            }
+        }, noop).then(function() {
+            // Failures were already reported by sendJsonRequest
+            jumpToDonationError(wizard);
+        });
+    }
+
+    /**
+     * Show the step holding the first invalid field, e.g. after a server-side error
+     * @param {Object} wizard - Donation wizard state
+     */
+    function jumpToDonationError(wizard) {
+        const invalid = wizard.form.querySelector('.is-invalid');
+
+        if (invalid) {
+            const index = wizard.steps.indexOf(invalid.closest('[data-step]'));
+
+            if (index !== -1 && index !== wizard.index) {
+                showDonationStep(wizard, index, false);
+            }
+        }
+    }
+
+    /**
+     * Check whether Bootstrap's modal plugin is loaded
+     * @returns {boolean} True when Bootstrap can drive modals
+     */
+    function hasBootstrapModal() {
+        return typeof bootstrap !== 'undefined' && !!bootstrap.Modal;
+    }
+
+    /**
+     * Open a modal, through Bootstrap when available
+     * @param {HTMLElement} modal - .modal element
+     * @param {HTMLElement} [opener] - Element that should get focus back on close
+     */
+    function showModal(modal, opener) {
+        if (!modal) return;
+
+        if (hasBootstrapModal()) {
+            bootstrap.Modal.getOrCreateInstance(modal).show(opener);
+            return;
+        }
+
+        const showEvent = dispatch(modal, 'show.bs.modal', null, { relatedTarget: opener });
+        if (showEvent.defaultPrevented || modal.classList.contains('show')) return;
+
+        const backdrop = document.createElement('div');
+        backdrop.className = 'modal-backdrop show';
+        document.body.appendChild(backdrop);
+        fallbackBackdrops.set(modal, backdrop);
+
+        modal.style.display = 'block';
+        modal.classList.add('show');
+        modal.removeAttribute('aria-hidden');
+        modal.setAttribute('role', 'dialog');
+        modal.setAttribute('aria-modal', 'true');
+        document.body.classList.add('modal-open');
+
+        dispatch(modal, 'shown.bs.modal', null, { relatedTarget: opener });
+    }
+
+    /**
+     * Close a modal, through Bootstrap when available
+     * @param {HTMLElement} modal - .modal element
+     */
+    function hideModal(modal) {
+        if (!modal) return;
+
+        if (hasBootstrapModal()) {
+            bootstrap.Modal.getOrCreateInstance(modal).hide();
+            return;
+        }
+
+        const hideEvent = dispatch(modal, 'hide.bs.modal');
+        if (hideEvent.defaultPrevented || !modal.classList.contains('show')) return;
+
+        modal.style.display = 'none';
+        modal.classList.remove('show');
+        modal.setAttribute('aria-hidden', 'true');
+        modal.removeAttribute('aria-modal');
+
+        const backdrop = fallbackBackdrops.get(modal);
+        if (backdrop) {
+            backdrop.remove();
+            fallbackBackdrops.delete(modal);
+        }
+
+        if (!document.querySelector('.modal.show')) {
+            document.body.classList.remove('modal-open');
+        }
+
+        dispatch(modal, 'hidden.bs.modal');
+    }
+
+    /**
+     * Put a freshly opened modal on top of the stack and make the rest of the page inert
+     * @param {HTMLElement} modal - .modal element
+     */
+    function pushModal(modal) {
+        if (modalStack.some(function(layer) { return layer.modal === modal; })) return;
+
+        const layer = {
+            modal: modal,
+            returnFocus: modalReturnFocus.get(modal) || document.activeElement,
+            revived: modalRevived.get(modal) || [],
+            inerted: []
+        };
+        modalRevived.delete(modal);
+
+        // Hide every sibling along the path from the modal up to <body>. Toasts and
+        // live regions stay out of it so messages raised meanwhile are still
+        // announced and their buttons still work.
+        for (let node = modal; node && node !== document.body; node = node.parentElement) {
+            Array.prototype.forEach.call(node.parentElement ? node.parentElement.children : [], function(sibling) {
+                if (sibling === node || sibling.matches('script, style, .modal-backdrop, .notification-center, [aria-live]')) return;
+                if (sibling.inert || sibling.getAttribute('aria-hidden') === 'true') return;
+
+                layer.inerted.push(sibling);
+                sibling.inert = true;
+                sibling.setAttribute('aria-hidden', 'true');
+            });
+        }
+
+        modal.removeAttribute('aria-hidden');
+        modalStack.push(layer);
+        focusModal(modal);
+    }
+
+    /**
+     * Remove a closed modal from the stack, undo its inert changes and restore focus
+     * @param {HTMLElement} modal - .modal element
+     */
+    function popModal(modal) {
+        const index = modalStack.findIndex(function(layer) { return layer.modal === modal; });
+        if (index === -1) return;
+
+        const layer = modalStack.splice(index, 1)[0];
+
+        layer.inerted.forEach(function(element) {
+            element.inert = false;
+            element.removeAttribute('aria-hidden');
+        });
+
+        // Anything woken up for this dialog goes back behind the dialogs still open
+        if (modalStack.length) {
+            layer.revived.forEach(function(element) {
+                element.inert = true;
+                element.setAttribute('aria-hidden', 'true');
+            });
+        }
+        modal.setAttribute('aria-hidden', 'true');
+        modalReturnFocus.delete(modal);
+
+        // Return focus to the opener, or to the dialog that is now on top
+        if (layer.returnFocus && document.contains(layer.returnFocus) && layer.returnFocus !== document.body) {
+            layer.returnFocus.focus();
+        } else if (modalStack.length) {
+            focusModal(modalStack[modalStack.length - 1].modal);
+        }
+    }
+
+    /**
+     * Move focus into a modal: [autofocus], then the title, then the dialog itself
+     * @param {HTMLElement} modal - .modal element
+     */
+    function focusModal(modal) {
+        const target = queryAll('[autofocus]', modal).filter(isVisible)[0] ||
+            modal.querySelector('.modal-title') ||
+            modal;
+
+        if (!target.matches(FOCUSABLE_SELECTOR) && !target.hasAttribute('tabindex')) {
+            target.setAttribute('tabindex', '-1');
+        }
+
+        target.focus();
+    }
+
+    /**
+     * Keep Tab and Shift+Tab cycling inside a modal
+     * @param {HTMLElement} modal - .modal element
+     * @param {KeyboardEvent} e - Tab keydown event
+     */
+    function trapFocus(modal, e) {
+        const focusable = queryAll(FOCUSABLE_SELECTOR, modal).filter(isVisible);
+
+        if (!focusable.length) {
+            e.preventDefault();
+            focusModal(modal);
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = document.activeElement;
+
+        if (e.shiftKey && (active === first || !modal.contains(active) || active === modal)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (active === last || !modal.contains(active))) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    /**
+     * Enhance accessibility features
+     */
+    function accessibilityEnhancements() {
+        // Ensure all click handlers also respond to keyboard
+        delegate('keydown', '[role="button"], .interactive-element', function(e) {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                this.click();
+            }
+        });
+
+        // Bootstrap accordions keep aria-expanded in sync once running; start it from the markup
+        queryAll('.accordion .accordion-button[data-bs-target]').forEach(function(button) {
+            const panel = document.querySelector(button.dataset.bsTarget);
+            button.setAttribute('aria-expanded', panel && panel.classList.contains('show') ? 'true' : 'false');
+        });
+    }
+
+    /**
+     * Set up visitor display preferences: the panel controls, live media-query
+     * changes and choices made in other tabs. The inline script in base.html
+     * has already applied the stored choices before first paint.
+     *   [data-a11y-panel-toggle]      button showing the panel it aria-controls
+     *   [data-a11y-preference=name]   checkbox for one preference
+     *   [data-a11y-reset]             button going back to the system settings
+     */
+    function initAccessibilityPreferences() {
+        const toggle = document.querySelector('[data-a11y-panel-toggle]');
+        const panel = toggle && document.getElementById(toggle.getAttribute('aria-controls'));
+
+        Object.keys(A11Y_PREFERENCES).forEach(function(name) {
+            const query = A11Y_PREFERENCES[name].media;
+            const list = query && window.matchMedia ? window.matchMedia(query) : null;
+
+            if (!list) return;
+
+            // Only preferences the visitor has not set follow the system
+            const onChange = function() {
+                if (typeof getStoredPreferences()[name] !== 'boolean') {
+                    applyAccessibilityPreferences();
+                }
+            };
+
+            if (list.addEventListener) {
+                list.addEventListener('change', onChange);
+            } else if (list.addListener) {
+                list.addListener(onChange);
+            }
+        });
+
+        window.addEventListener('storage', function(e) {
+            if (e.key === A11Y_STORAGE_KEY) {
+                storedPreferences = null;
+                applyAccessibilityPreferences();
+            }
+        });
+
+        if (panel) {
+            toggle.hidden = false;
+
+            toggle.addEventListener('click', function() {
+                const open = toggle.getAttribute('aria-expanded') !== 'true';
+
+                toggle.setAttribute('aria-expanded', open ? 'true' : 'false');
+                panel.hidden = !open;
+            });
+
+            panel.addEventListener('keydown', function(e) {
+                if (e.key !== 'Escape') return;
+
+                e.preventDefault();
+                toggle.setAttribute('aria-expanded', 'false');
+                panel.hidden = true;
+                toggle.focus();
+            });
+        }
+
+        delegate('change', '[data-a11y-preference]', function() {
+            setAccessibilityPreference(this.getAttribute('data-a11y-preference'), this.checked);
+        });
+
+        delegate('click', '[data-a11y-reset]', function() {
+            storePreferences({});
+            announceToScreenReader(gettext('Display preferences reset to your system settings.'));
+        });
+
+        applyAccessibilityPreferences();
+    }
+
+    /**
+     * Read the visitor's stored choices once
+     * @returns {Object} Preference name to true or false; missing names follow the system
+     */
+    function getStoredPreferences() {
+        if (!storedPreferences) {
+            try {
+                storedPreferences = JSON.parse(window.localStorage.getItem(A11Y_STORAGE_KEY)) || {};
+            } catch (e) {
+                storedPreferences = {};
+            }
+        }
+
+        return storedPreferences;
+    }
+
+    /**
+     * Work out whether a preference is on: the visitor's choice, or else the system setting
+     * @param {string} name - Preference name, e.g. 'reduceMotion'
+     * @returns {boolean} True when the preference applies
+     */
+    function getAccessibilityPreference(name) {
+        const stored = getStoredPreferences()[name];
+        const query = A11Y_PREFERENCES[name] && A11Y_PREFERENCES[name].media;
+
+        if (typeof stored === 'boolean') return stored;
+
+        return !!(query && window.matchMedia && window.matchMedia(query).matches);
+    }
+
+    /**
+     * Get every preference as it currently applies
+     * @returns {Object} Preference name to true or false
+     */
+    function getAccessibilityPreferences() {
+        const preferences = {};
+
+        Object.keys(A11Y_PREFERENCES).forEach(function(name) {
+            preferences[name] = getAccessibilityPreference(name);
+        });
+
+        return preferences;
+    }
+
+    /**
+     * Store a display preference and apply it straight away
+     * @param {string} name - Preference name: reduceMotion, highContrast, largeText,
+     *     dyslexiaFont, underlineLinks or darkTheme
+     * @param {boolean|null} value - On or off; null follows the system setting again
+     */
+    function setAccessibilityPreference(name, value) {
+        if (!A11Y_PREFERENCES[name]) {
+            throw new Error(`Unknown accessibility preference: ${name}`);
+        }
+
+        const stored = Object.assign({}, getStoredPreferences());
+
+        if (typeof value === 'boolean') {
+            stored[name] = value;
+        } else {
+            delete stored[name];
+        }
+
+        storePreferences(stored);
+    }
+
+    /**
+     * Save the visitor's choices and apply them
+     * @param {Object} stored - Preference name to true or false
+     */
+    function storePreferences(stored) {
+        storedPreferences = stored;
+
+        try {
+            window.localStorage.setItem(A11Y_STORAGE_KEY, JSON.stringify(stored));
+        } catch (e) {
+            // Storage unavailable: the choice lasts for this page only
+        }
+
+        applyAccessibilityPreferences();
+    }
+
+    /**
+     * Put the preference classes on <html>, sync the panel and tell listeners
+     */
+    function applyAccessibilityPreferences() {
+        const root = document.documentElement;
+        const preferences = getAccessibilityPreferences();
+
+        Object.keys(preferences).forEach(function(name) {
+            root.classList.toggle(A11Y_PREFERENCES[name].className, preferences[name]);
+        });
+        root.setAttribute('data-a11y-preferences', '');
+
+        queryAll('[data-a11y-preference]').forEach(function(input) {
+            input.checked = !!preferences[input.getAttribute('data-a11y-preference')];
+        });
+
+        // Content waiting to be revealed on scroll appears at once without motion
+        if (preferences.reduceMotion) {
+            queryAll('.fade-in').forEach(function(element) {
+                element.classList.add('visible');
+            });
+        }
+
+        dispatch(document, 'stveronica.preferencesChange', { preferences: preferences });
+    }
+
+    /**
+     * Set up accordions and tabs, and open whatever the URL hash points at
+     */
+    function initDisclosures() {
+        delegate('click', '[data-accordion-trigger]', function() {
+            const item = getDisclosureItem(this);
+            if (item) {
+                setAccordionPanel(item.widget, item, this.getAttribute('aria-expanded') !== 'true', true);
+            }
+        });
+
+        delegate('click', '[data-tab]', function() {
+            const item = getDisclosureItem(this);
+            if (item) {
+                selectTab(item.widget, item, true);
+            }
+        });
+
+        delegate('keydown', '[data-accordion-trigger], [data-tab]', function(e) {
+            handleDisclosureKeydown(this, e);
+        });
+
+        window.addEventListener('hashchange', function() {
+            revealHashTarget();
+        });
+
+        enhanceDisclosures();
+    }
+
+    /**
+     * Enhance accordions and tabs inside an element.
+     *
+     * Accordion: [data-accordion] holding [data-accordion-trigger] buttons and
+     * [data-accordion-panel] regions, paired by aria-controls or by position.
+     * Triggers rendered with aria-expanded="true" start open. Only one panel is
+     * open at a time unless the container has data-accordion="multiple".
+     *
+     * Tabs: [data-tabs] holding [data-tab] buttons and [data-tab-panel] panels,
+     * paired the same way. The tab with aria-selected="true" (or the first)
+     * starts selected. Arrow keys select as they move unless the container
+     * has data-tabs="manual".
+     *
+     * A URL hash naming a panel, or anything inside one, opens it. Containers
+     * with data-deep-link write the open panel back to the hash, and containers
+     * with an id keep what the user opened when loadAjaxContent swaps them,
+     * unless the new markup no longer has those panels.
+     * @param {string|Element} [scope=document] - Element to scan, e.g. freshly loaded content
+     */
+    function enhanceDisclosures(scope) {
+        scope = toElement(scope) || document;
+
+        queryAll('[data-accordion]', scope).forEach(function(container) {
+            const widget = createDisclosureWidget(container, 'accordion', '[data-accordion-trigger]', '[data-accordion-panel]');
+
+            if (!widget) return;
+            widget.multiple = container.dataset.accordion === 'multiple';
+
+            const saved = getSavedDisclosureState(widget);
+            let opened = 0;
+
+            widget.items.forEach(function(item) {
+                item.panel.setAttribute('role', 'region');
+
+                const open = saved ? saved.indexOf(item.key) !== -1 : item.trigger.getAttribute('aria-expanded') === 'true';
+                setAccordionPanel(widget, item, open && (widget.multiple || !opened++));
+            });
+        });
+
+        queryAll('[data-tabs]', scope).forEach(function(container) {
+            const widget = createDisclosureWidget(container, 'tabs', '[data-tab]', '[data-tab-panel]');
+
+            if (!widget) return;
+            widget.manual = container.dataset.tabs === 'manual';
+
+            const tablist = widget.items[0].trigger.parentElement;
+            if (!tablist.hasAttribute('role')) {
+                tablist.setAttribute('role', 'tablist');
+            }
+            widget.vertical = tablist.getAttribute('aria-orientation') === 'vertical';
+
+            const saved = getSavedDisclosureState(widget) || [];
+            const selected = widget.items.find(function(item) {
+                return saved.indexOf(item.key) !== -1;
+            }) || widget.items.find(function(item) {
+                return item.trigger.getAttribute('aria-selected') === 'true';
+            }) || widget.items[0];
+
+            widget.items.forEach(function(item) {
+                item.trigger.setAttribute('role', 'tab');
+                item.panel.setAttribute('role', 'tabpanel');
+                if (!item.panel.hasAttribute('tabindex')) {
+                    item.panel.setAttribute('tabindex', '0');
+                }
+            });
+            selectTab(widget, selected);
+        });
+
+        const target = getHashTarget();
+        if (target && scope.contains(target)) {
+            revealHashTarget();
+        }
+    }
+
+    /**
+     * Pair the triggers and panels of an accordion or tab set
+     * @param {Element} container - [data-accordion] or [data-tabs] element
+     * @param {string} type - 'accordion' or 'tabs'
+     * @param {string} triggerSelector - Selector for its triggers
+     * @param {string} panelSelector - Selector for its panels
+     * @returns {Object|null} Widget state, or null if already enhanced or empty
+     */
+    function createDisclosureWidget(container, type, triggerSelector, panelSelector) {
+        if (disclosureWidgets.has(container)) return null;
+
+        // Leave triggers and panels of nested widgets to their own container
+        const owned = function(element) {
+            return element.parentElement.closest('[data-accordion], [data-tabs]') === container;
+        };
+        const triggers = queryAll(triggerSelector, container).filter(owned);
+        const panels = queryAll(panelSelector, container).filter(owned);
+        const widget = { type: type, container: container, items: [] };
+
+        triggers.forEach(function(trigger, index) {
+            const controls = trigger.getAttribute('aria-controls');
+            const panel = (controls && document.getElementById(controls)) || panels[index];
+
+            if (!panel) return;
+
+            // Generated ids change on every load, so only an author-set id
+            // or the position can identify the panel across swaps
+            const key = panel.id || String(index);
+
+            ensureElementId(trigger, `${type}-trigger`);
+            ensureElementId(panel, `${type}-panel`);
+            trigger.setAttribute('aria-controls', panel.id);
+            panel.setAttribute('aria-labelledby', trigger.id);
+
+            widget.items.push({ widget: widget, trigger: trigger, panel: panel, key: key });
+        });
+
+        if (!widget.items.length) return null;
+
+        disclosureWidgets.set(container, widget);
+        return widget;
+    }
+
+    /**
+     * Find the accordion or tab item a trigger or panel belongs to
+     * @param {Element} element - Trigger or panel
+     * @returns {Object|null} Item with its widget, trigger and panel
+     */
+    function getDisclosureItem(element) {
+        const container = element.parentElement && element.parentElement.closest('[data-accordion], [data-tabs]');
+        const widget = container && disclosureWidgets.get(container);
+
+        return widget ? widget.items.find(function(item) {
+            return item.trigger === element || item.panel === element;
+        }) || null : null;
+    }
+
+    /**
+     * Open or close an accordion panel, closing the others in single-open mode
+     * @param {Object} widget - Accordion state
+     * @param {Object} item - Item to change
+     * @param {boolean} expanded - Open the panel
+     * @param {boolean} [byUser=false] - Remember the change and update the hash
+     */
+    function setAccordionPanel(widget, item, expanded, byUser = false) {
+        if (expanded && !widget.multiple) {
+            widget.items.forEach(function(other) {
+                if (other !== item && other.trigger.getAttribute('aria-expanded') === 'true') {
+                    setAccordionPanel(widget, other, false);
+                }
+            });
+        }
+
+        const changed = item.panel.hidden === expanded;
+
+        item.trigger.setAttribute('aria-expanded', expanded ? 'true' : 'false');
+        item.panel.hidden = !expanded;
+
+        if (changed) {
+            dispatch(item.panel, 'stveronica.accordionToggle', { expanded: expanded, trigger: item.trigger });
+        }
+
+        if (byUser) {
+            saveDisclosureState(widget, item);
+        }
+    }
+
+    /**
+     * Select a tab and show its panel
+     * @param {Object} widget - Tab set state
+     * @param {Object} item - Tab to select
+     * @param {boolean} [byUser=false] - Remember the change and update the hash
+     */
+    function selectTab(widget, item, byUser = false) {
+        const changed = item.trigger.getAttribute('aria-selected') !== 'true';
+
+        widget.items.forEach(function(other) {
+            const selected = other === item;
+
+            other.trigger.setAttribute('aria-selected', selected ? 'true' : 'false');
+            other.trigger.setAttribute('tabindex', selected ? '0' : '-1');
+            other.panel.hidden = !selected;
+        });
+
+        if (changed) {
+            dispatch(item.panel, 'stveronica.tabChange', { tab: item.trigger });
+        }
+
+        if (byUser) {
+            saveDisclosureState(widget, item);
+        }
+    }
+
+    /**
+     * Remember which panels are open after the user changes them and, for
+     * deep-linked widgets, put the panel the user just opened in the URL hash
+     * @param {Object} widget - Accordion or tab set state
+     * @param {Object} item - Item the user opened or closed
+     */
+    function saveDisclosureState(widget, item) {
+        if (widget.container.id) {
+            disclosureStates.set(widget.container.id, {
+                keys: widget.items.map(function(other) {
+                    return other.key;
+                }),
+                open: widget.items.filter(function(other) {
+                    return !other.panel.hidden;
+                }).map(function(other) {
+                    return other.key;
+                })
+            });
+        }
+
+        // replaceState keeps the history clean and does not jump the page
+        if (!item.panel.hidden && widget.container.hasAttribute('data-deep-link') && window.history.replaceState) {
+            window.history.replaceState(window.history.state, '', `#${encodeURIComponent(item.panel.id)}`);
+        }
+    }
+
+    /**
+     * Look up the panels the user left open in a widget with the same id.
+     * Markup that shares none of the saved panels is new content, so its own
+     * aria-expanded and aria-selected win.
+     * @param {Object} widget - Accordion or tab set state
+     * @returns {Array<string>|null} Keys of the open panels, or null to use the markup
+     */
+    function getSavedDisclosureState(widget) {
+        const saved = widget.container.id && disclosureStates.get(widget.container.id);
+        const matches = saved && saved.keys.some(function(key) {
+            return widget.items.some(function(item) {
+                return item.key === key;
+            });
+        });
+
+        return matches ? saved.open : null;
+    }
+
+    /**
+     * Move focus between accordion headers or tabs with the arrow, Home and End keys
+     * @param {Element} trigger - Focused trigger
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    function handleDisclosureKeydown(trigger, e) {
+        const item = getDisclosureItem(trigger);
+
+        if (!item) return;
+
+        const widget = item.widget;
+        const horizontal = widget.type === 'tabs' && !widget.vertical;
+        const items = widget.items;
+        const index = items.indexOf(item);
+        let next;
+
+        // Horizontal tabs follow the reading direction, so the arrows swap in RTL
+        const forward = horizontal ? (isRtl() ? 'ArrowLeft' : 'ArrowRight') : 'ArrowDown';
+        const backward = horizontal ? (isRtl() ? 'ArrowRight' : 'ArrowLeft') : 'ArrowUp';
+
+        switch (e.key) {
+            case forward:
+                next = items[(index + 1) % items.length];
+                break;
+            case backward:
+                next = items[(index - 1 + items.length) % items.length];
+                break;
+            case 'Home':
+                next = items[0];
+                break;
+            case 'End':
+                next = items[items.length - 1];
+                break;
+            default:
+                return;
+        }
+
+        e.preventDefault();
+        next.trigger.focus();
+
+        if (widget.type === 'tabs' && !widget.manual) {
+            selectTab(widget, next, true);
+        }
+    }
+
+    /**
+     * Find the element named by a hash; a malformed one names nothing
+     * @param {string} [hash=window.location.hash] - Hash including the leading #
+     * @returns {Element|null} Hash target
+     */
+    function getHashTarget(hash = window.location.hash) {
+        const id = hash.slice(1);
+
+        try {
+            return id ? document.getElementById(decodeURIComponent(id)) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Open every accordion panel and tab that contains an element, so an
+     * anchor inside a closed panel can be seen
+     * @param {Element} [target] - Element to reveal; defaults to the URL hash target
+     */
+    function revealHashTarget(target) {
+        let element = target || getHashTarget();
+
+        while (element && element !== document.body) {
+            const item = getDisclosureItem(element);
+
+            if (item && item.widget.type === 'accordion') {
+                if (item.trigger.getAttribute('aria-expanded') !== 'true') {
+                    setAccordionPanel(item.widget, item, true);
+                }
+            } else if (item) {
+                selectTab(item.widget, item);
+            }
+
+            element = element.parentElement;
+        }
+    }
+
+    /**
+     * Give an element an id so ARIA attributes can point at it
+     * @param {Element} element - Element
+     * @param {string} prefix - Id prefix
+     * @returns {string} Element id
+     */
+    function ensureElementId(element, prefix) {
+        if (!element.id) {
+            element.id = `${prefix}-${Math.random().toString(36).slice(2, 9)}`;
+        }
+
+        return element.id;
+    }
+
+    /**
+     * Show notification to user.
+     * Toasts stack in the notification centre; once NOTIFICATION_MAX_VISIBLE are
+     * on screen, further ones wait in a queue until a slot frees up.
+     * @param {string} message - Message to display
+     * @param {string} type - Type of notification (success, error, warning, info)
+     * @param {Object} options - duration in ms (0 keeps it until dismissed) and
+     *     actions: [{ label, onClick }] rendered as buttons, e.g. "Retry"
+     * @returns {Object} Handle with a dismiss() method
+     */
+    function showNotification(message, type = 'info', options = {}) {
+        if (!NOTIFICATION_ICONS[type]) {
+            type = 'info';
+        }
+
+        const actions = options.actions || [];
+        const toast = {
+            message: message,
+            type: type,
+            actions: actions,
+            // Toasts with actions stay longer so there is time to use them
+            duration: options.duration !== undefined ? options.duration : (actions.length ? NOTIFICATION_DURATION * 2 : NOTIFICATION_DURATION),
+            element: null,
+            timer: null,
+            dismissed: false
+        };
+
+        toast.dismiss = function() {
+            dismissNotification(toast);
+        };
+
+        if (queryAll('.notification-center .notification:not(.is-leaving)').length < NOTIFICATION_MAX_VISIBLE) {
+            renderNotification(toast);
+        } else {
+            notificationQueue.push(toast);
+        }
+
+        return { dismiss: toast.dismiss };
+    }
+
+    /**
+     * Put a toast on screen and announce it
+     * @param {Object} toast - Notification state
+     */
+    function renderNotification(toast) {
+        let center = document.querySelector('.notification-center');
+        if (!center) {
+            center = document.createElement('div');
+            center.className = 'notification-center';
+            center.setAttribute('role', 'region');
+            center.setAttribute('aria-label', gettext('Notifications'));
+            document.body.appendChild(center);
+        }
+
+        const actionButtons = toast.actions.map(function(action) {
+            const button = renderTemplate('notification-action', action).firstElementChild;
+
+            button.addEventListener('click', function() {
+                dismissNotification(toast);
+                if (action.onClick) action.onClick();
+            });
+            return button;
+        });
+
+        const element = renderTemplate('notification', {
+            className: `notification notification-${toast.type}`,
+            icon: markSafe(NOTIFICATION_ICONS[toast.type]),
+            message: toast.message,
+            actions: actionButtons
+        }, {
+            actions: actionButtons
+        }).firstElementChild;
+
+        element.querySelector('.notification-dismiss').addEventListener('click', function() {
+            dismissNotification(toast);
+        });
+
+        // Pause the countdown while the visitor is reading or using the toast
+        ['mouseenter', 'focusin'].forEach(function(type) {
+            element.addEventListener(type, function() {
+                pauseNotificationTimer(toast);
+            });
+        });
+        ['mouseleave', 'focusout'].forEach(function(type) {
+            element.addEventListener(type, function(e) {
+                if (e.type === 'focusout' && element.contains(e.relatedTarget)) return;
+                if (e.type === 'mouseleave' && element.contains(document.activeElement)) return;
+                startNotificationTimer(toast);
+            });
+        });
+
+        toast.element = element;
+        toast.remaining = toast.duration;
+        center.appendChild(element);
+
+        // Next frame so the entry transition runs
+        window.requestAnimationFrame(function() {
+            element.classList.add('is-visible');
+        });
+
+        // Errors interrupt; everything else waits its turn
+        announceToScreenReader(toast.message, toast.type === 'error' ? 'assertive' : 'polite');
+        startNotificationTimer(toast);
+    }
+
+    /**
+     * Start or resume a toast's auto-dismiss countdown
+     * @param {Object} toast - Notification state
+     */
+    function startNotificationTimer(toast) {
+        if (!toast.duration || toast.dismissed) return;
+
+        clearTimeout(toast.timer);
+        toast.startedAt = Date.now();
+        toast.timer = setTimeout(function() {
+            dismissNotification(toast);
+        }, toast.remaining);
+    }
+
+    /**
+     * Pause a toast's countdown, keeping the time it has left
+     * @param {Object} toast - Notification state
+     */
+    function pauseNotificationTimer(toast) {
+        if (!toast.duration || !toast.timer) return;
+
+        clearTimeout(toast.timer);
+        toast.timer = null;
+        toast.remaining = Math.max(1000, toast.remaining - (Date.now() - toast.startedAt));
+    }
+
+    /**
+     * Remove a toast and show the next queued one
+     * @param {Object} toast - Notification state
+     */
+    function dismissNotification(toast) {
+        if (toast.dismissed) return;
+        toast.dismissed = true;
+        clearTimeout(toast.timer);
+
+        // Still waiting in the queue: just drop it
+        if (!toast.element) {
+            notificationQueue.splice(notificationQueue.indexOf(toast), 1);
+            return;
+        }
+
+        const element = toast.element;
+        element.classList.remove('is-visible');
+        element.classList.add('is-leaving');
+
+        setTimeout(function() {
+            element.remove();
+        }, shouldReduceMotion() ? 0 : 300);
+
+        if (notificationQueue.length) {
+            renderNotification(notificationQueue.shift());
+        }
+    }
+
+    /**
+     * Keep a notification for the next page, e.g. before a redirect
+     * @param {string} message - Message to display
+     * @param {string} type - Type of notification (success, error, warning, info)
+     */
+    function flashNotification(message, type = 'info') {
+        try {
+            const flashes = JSON.parse(window.sessionStorage.getItem(FLASH_STORAGE_KEY) || '[]');
+            flashes.push({ message: message, type: type });
+            window.sessionStorage.setItem(FLASH_STORAGE_KEY, JSON.stringify(flashes));
+        } catch (e) {
+            // Storage unavailable (e.g. private mode): show it now instead
+            showNotification(message, type);
+        }
+    }
+
+    /**
+     * Show notifications flashed by the previous page
+     */
+    function initNotifications() {
+        let flashes = [];
+
+        try {
+            flashes = JSON.parse(window.sessionStorage.getItem(FLASH_STORAGE_KEY) || '[]');
+            window.sessionStorage.removeItem(FLASH_STORAGE_KEY);
+        } catch (e) {
+            return;
+        }
+
+        flashes.forEach(function(flash) {
+            showNotification(flash.message, flash.type);
+        });
+    }
+
+    /**
+     * Announce message to screen readers
+     * @param {string} message - Message to announce
+     * @param {string} politeness - 'polite' (default) or 'assertive' for urgent messages
+     */
+    function announceToScreenReader(message, politeness = 'polite') {
+        const id = politeness === 'assertive' ? 'sr-alert' : 'sr-announcement';
+        let region = document.getElementById(id);
+
+        // Create aria-live region if it doesn't exist
+        if (!region) {
+            region = document.createElement('div');
+            region.id = id;
+            region.className = 'sr-only';
+            region.setAttribute('aria-live', politeness);
+            region.setAttribute('aria-atomic', 'true');
+            document.body.appendChild(region);
+        }
+
+        // Update content to trigger announcement
+        region.textContent = message;
+    }
+
+    /**
+     * Set up live campaign widgets and pause their polling while the tab is hidden
+     */
+    function initCampaigns() {
+        document.addEventListener('visibilitychange', function() {
+            campaignWidgets.forEach(function(widget) {
+                if (document.hidden) {
+                    clearTimeout(widget.timer);
+                    widget.timer = null;
+                } else if (widget.started) {
+                    // Catch up straight away when the visitor comes back
+                    refreshCampaign(widget);
+                }
+            });
+        });
+
+        enhanceCampaigns();
+    }
+
+    /**
+     * Enhance campaign widgets inside an element:
+     *   [data-campaign-url]               JSON endpoint, fetched once the widget scrolls into
+     *                                     view and then every data-campaign-interval seconds
+     *                                     (default 60; 0 fetches once) while the tab is visible
+     *   [data-campaign-progress]          goal bar; data-value and data-max name the JSON
+     *                                     fields (default "raised" and "goal")
+     *   [data-campaign-counter="field"]   number that counts up to a JSON field, e.g. "patients_served"
+     * data-format="currency" formats in data-currency or the JSON "currency"; data-label
+     * names a counter when its changes are announced. Field names may be dotted paths.
+     * @param {string|Element} [scope=document] - Element to scan, e.g. freshly loaded content
+     */
+    function enhanceCampaigns(scope) {
+        scope = toElement(scope) || document;
+
+        queryAll('[data-campaign-url]', scope).forEach(function(element) {
+            if (campaignWidgets.has(element)) return;
+
+            const interval = parseFloat(element.dataset.campaignInterval);
+            const widget = {
+                element: element,
+                url: element.dataset.campaignUrl,
+                interval: (isNaN(interval) ? CAMPAIGN_POLL_INTERVAL : interval) * 1000,
+                started: false,
+                timer: null,
+                request: null
+            };
+            campaignWidgets.set(element, widget);
+
+            queryAll('[data-campaign-progress]', element).forEach(function(bar) {
+                bar.setAttribute('role', 'progressbar');
+                bar.setAttribute('aria-valuemin', '0');
+            });
+
+            if ('IntersectionObserver' in window) {
+                getCampaignObserver().observe(element);
+            } else {
+                startCampaign(widget);
+            }
+        });
+    }
+
+    /**
+     * Get the shared observer that starts campaign widgets as they scroll into view
+     * @returns {IntersectionObserver} Observer
+     */
+    function getCampaignObserver() {
+        if (!campaignObserver) {
+            campaignObserver = new IntersectionObserver(function(entries) {
+                entries.forEach(function(entry) {
+                    const widget = campaignWidgets.get(entry.target);
+
+                    if (!entry.isIntersecting || !widget) return;
+
+                    campaignObserver.unobserve(entry.target);
+                    startCampaign(widget);
+                });
+            }, {
+                threshold: 0.1
+            });
+        }
+
+        return campaignObserver;
+    }
+
+    /**
+     * Fetch a campaign for the first time and start polling
+     * @param {Object} widget - Campaign widget state
+     */
+    function startCampaign(widget) {
+        widget.started = true;
+        refreshCampaign(widget);
+    }
+
+    /**
+     * Fetch the latest campaign figures and schedule the next poll
+     * @param {Object} widget - Campaign widget state
+     */
+    function refreshCampaign(widget) {
+        clearTimeout(widget.timer);
+        widget.timer = null;
+
+        // Widgets swapped out by AJAX navigation stop polling for good
+        if (!document.contains(widget.element)) {
+            campaignWidgets.delete(widget.element);
+            return;
+        }
+
+        if (document.hidden || widget.request) return;
+
+        widget.request = sendJsonRequest(widget.url, {}, 'GET', {
+            cache: false,
+            showLoading: false,
+            showErrors: false,
+            handleResponse: false,
+            target: widget.element
+        });
+
+        widget.request.then(function(data) {
+            updateCampaign(widget, data || {});
+        }, noop).then(function() {
+            widget.request = null;
+
+            if (widget.interval > 0 && !document.hidden && document.contains(widget.element)) {
+                widget.timer = setTimeout(function() {
+                    refreshCampaign(widget);
+                }, widget.interval);
+            }
+        });
+    }
+
+    /**
+     * Show new campaign figures and announce the ones that changed
+     * @param {Object} widget - Campaign widget state
+     * @param {Object} data - Campaign JSON
+     */
+    function updateCampaign(widget, data) {
+        const currency = widget.element.dataset.currency || data.currency || 'USD';
+        const changes = [];
+
+        queryAll('[data-campaign-progress]', widget.element).forEach(function(bar) {
+            const value = Number(getPathValue(data, bar.dataset.value || 'raised')) || 0;
+            const max = Number(getPathValue(data, bar.dataset.max || 'goal')) || 0;
+            const text = gettext('{value} of {goal}', {
+                value: formatCampaignValue(bar, value, currency),
+                goal: formatCampaignValue(bar, max, currency)
+            });
+
+            bar.setAttribute('aria-valuenow', value);
+            bar.setAttribute('aria-valuemax', max);
+            bar.setAttribute('aria-valuetext', text);
+            bar.style.setProperty('--campaign-progress', `${max > 0 ? Math.min(100, value / max * 100) : 0}%`);
+
+            if (campaignValues.has(bar) && campaignValues.get(bar) !== value) {
+                changes.push(text);
+            }
+            campaignValues.set(bar, value);
+        });
+
+        queryAll('[data-campaign-counter]', widget.element).forEach(function(counter) {
+            const value = Number(getPathValue(data, counter.dataset.campaignCounter));
+
+            if (isNaN(value)) return;
+
+            const previous = campaignValues.has(counter) ? campaignValues.get(counter) : null;
+            const label = counter.dataset.label;
+            const text = formatCampaignValue(counter, value, currency);
+
+            campaignValues.set(counter, value);
+            countTo(counter, previous || 0, value, function(current) {
+                return formatCampaignValue(counter, current, currency);
+            });
+
+            if (previous !== null && previous !== value) {
+                changes.push(label ? gettext('{label}: {value}', { label: label, value: text }) : text);
+            }
+        });
+
+        if (changes.length) {
+            announceToScreenReader(changes.join('. '));
+        }
+
+        dispatch(widget.element, 'stveronica.campaignUpdate', { data: data });
+    }
+
+    /**
+     * Count an element's number up (or down) to a new value
+     * @param {HTMLElement} element - Counter element
+     * @param {number} from - Starting value
+     * @param {number} to - Final value
+     * @param {Function} format - Turns a value into display text
+     */
+    function countTo(element, from, to, format) {
+        window.cancelAnimationFrame(counterFrames.get(element));
+
+        // Without motion the final figure appears at once
+        if (from === to || shouldReduceMotion() || !window.requestAnimationFrame) {
+            element.textContent = format(to);
+            return;
+        }
+
+        const duration = parseInt(element.dataset.duration, 10) || CAMPAIGN_COUNT_DURATION;
+        let start = null;
+
+        const step = function(time) {
+            if (start === null) start = time;
+
+            const progress = Math.min(1, (time - start) / duration);
+            const eased = 1 - Math.pow(1 - progress, 3);
+
+            element.textContent = format(progress < 1 ? Math.round(from + (to - from) * eased) : to);
+            if (progress < 1) {
+                counterFrames.set(element, window.requestAnimationFrame(step));
+            }
+        };
+
+        counterFrames.set(element, window.requestAnimationFrame(step));
+    }
+
+    /**
+     * Format a campaign figure by the element's data-format
+     * @param {HTMLElement} element - Progress bar or counter
+     * @param {number} value - Figure
+     * @param {string} currency - Currency for data-format="currency"
+     * @returns {string} Formatted figure
+     */
+    function formatCampaignValue(element, value, currency) {
+        if (element.dataset.format === 'currency') {
+            return formatCurrency(value, currency);
+        }
+
+        return formatNumber(value, { maximumFractionDigits: 0 });
+    }
+
+    /**
+     * Read a dotted path such as "stats.patients_served" from an object
+     * @param {Object} data - Object to read
+     * @param {string} path - Dotted path
+     * @returns {*} Value, or undefined
+     */
+    function getPathValue(data, path) {
+        return String(path).split('.').reduce(function(value, key) {
+            return value == null ? undefined : value[key];
+        }, data);
+    }
+
+    /**
+     * Set up lazy media: click-to-load embeds and the first lazy-loading pass
+     */
+    function initLazyMedia() {
+        delegate('click', '.media-facade[data-embed-src]', function(e) {
+            if (this.classList.contains('is-playing')) return;
+
+            // The facade may wrap a plain link to the video for visitors without JavaScript
+            e.preventDefault();
+            playMediaFacade(this);
+        });
+
+        lazyLoadImages();
+    }
+
+    /**
+     * Lazy load media inside an element:
+     *   img[data-src|data-srcset|data-sizes]   images, including <picture> <source data-srcset>
+     *   iframe[data-src]                       embeds
+     *   [data-bg]                              CSS background images
+     *   .media-facade[data-embed-src]          YouTube/Vimeo players loaded on click
+     * Images with class "lazy-blur" keep their low-resolution src as a blurred
+     * placeholder until the real image has loaded.
+     * @param {string|Element} [scope=document] - Element to scan, e.g. freshly loaded content
+     */
+    function lazyLoadImages(scope) {
+        scope = toElement(scope) || document;
+
+        queryAll('.media-facade[data-embed-src]:not(.is-playing)', scope).forEach(function(facade) {
+            facade.setAttribute('role', 'button');
+            facade.setAttribute('tabindex', '0');
+            facade.setAttribute('aria-label', gettext('Play video: {title}', { title: facade.dataset.embedTitle || gettext('Video') }));
+        });
+
+        queryAll(LAZY_MEDIA_SELECTOR, scope).forEach(function(element) {
+            // Native fast path: the browser defers off-screen images and iframes itself.
+            // Blur-up images skip it, as their placeholder would vanish until the real image loads.
+            if (supportsNativeLazyLoading(element) && !element.classList.contains('lazy-blur')) {
+                element.loading = 'lazy';
+                loadLazyMedia(element);
+            } else if ('IntersectionObserver' in window) {
+                getLazyMediaObserver().observe(element);
+            } else {
+                lazyMediaPending.add(element);
+            }
+        });
+
+        // Without IntersectionObserver, check positions on scroll instead
+        if (lazyMediaPending.size) {
+            if (!lazyMediaFallbackBound) {
+                lazyMediaFallbackBound = true;
+                window.addEventListener('scroll', debounce(loadVisibleLazyMedia, 100));
+                window.addEventListener('resize', debounce(loadVisibleLazyMedia, 100));
+            }
+            loadVisibleLazyMedia();
+        }
+    }
+
+    /**
+     * Check whether the browser lazy loads an element natively
+     * @param {HTMLElement} element - Lazy media element
+     * @returns {boolean} True for images and iframes that support loading="lazy"
+     */
+    function supportsNativeLazyLoading(element) {
+        return (element.tagName === 'IMG' && 'loading' in HTMLImageElement.prototype) ||
+            (element.tagName === 'IFRAME' && 'loading' in HTMLIFrameElement.prototype);
+    }
+
+    /**
+     * Get the shared observer that loads media as it nears the viewport
+     * @returns {IntersectionObserver} Observer
+     */
+    function getLazyMediaObserver() {
+        if (!lazyMediaObserver) {
+            lazyMediaObserver = new IntersectionObserver(function(entries) {
+                entries.forEach(function(entry) {
+                    if (entry.isIntersecting) {
+                        lazyMediaObserver.unobserve(entry.target);
+                        loadLazyMedia(entry.target);
+                    }
+                });
+            }, {
+                rootMargin: '200px 0px'
+            });
+        }
+
+        return lazyMediaObserver;
+    }
+
+    /**
+     * Load pending media within 200px of the viewport (fallback without IntersectionObserver)
+     */
+    function loadVisibleLazyMedia() {
+        lazyMediaPending.forEach(function(element) {
+            if (!document.contains(element)) {
+                lazyMediaPending.delete(element);
+                return;
+            }
+
+            const rect = element.getBoundingClientRect();
+            if (rect.top < window.innerHeight + 200 && rect.bottom > -200) {
+                lazyMediaPending.delete(element);
+                loadLazyMedia(element);
+            }
+        });
+    }
+
+    /**
+     * Swap an element's data-* sources in so the browser fetches the real media
+     * @param {HTMLElement} element - Lazy media element
+     */
+    function loadLazyMedia(element) {
+        if (element.tagName === 'IMG' || element.tagName === 'IFRAME') {
+            const picture = element.parentElement && element.parentElement.tagName === 'PICTURE' ? element.parentElement : null;
+
+            // Sources must be in place before the img, or the browser picks the fallback
+            if (picture) {
+                queryAll('source[data-srcset]', picture).forEach(function(source) {
+                    source.srcset = source.dataset.srcset;
+                    if (source.dataset.sizes) {
+                        source.sizes = source.dataset.sizes;
+                    }
+                    source.removeAttribute('data-srcset');
+                    source.removeAttribute('data-sizes');
+                });
+            }
+
+            if (element.classList.contains('lazy-blur')) {
+                const sharpen = function() {
+                    element.classList.add('is-loaded');
+                };
+                element.addEventListener('load', sharpen, { once: true });
+                element.addEventListener('error', sharpen, { once: true });
+            }
+
+            if (element.dataset.sizes) element.sizes = element.dataset.sizes;
+            if (element.dataset.srcset) element.srcset = element.dataset.srcset;
+            if (element.dataset.src) element.src = element.dataset.src;
+
+            ['data-src', 'data-srcset', 'data-sizes'].forEach(function(attribute) {
+                element.removeAttribute(attribute);
+            });
+            element.classList.remove('lazy');
+            return;
+        }
+
+        const url = element.dataset.bg;
+        if (!url || UNSAFE_URL_PATTERN.test(url)) return;
+
+        // Preload so the background appears in one go, then fade it in
+        const image = new Image();
+        image.onload = image.onerror = function() {
+            element.style.backgroundImage = `url("${url.replace(/["\\]/g, '\\$&')}")`;
+            element.classList.add('is-loaded');
+        };
+        image.src = url;
+    }
+
+    /**
+     * Replace a click-to-load facade with the real YouTube or Vimeo player
+     * @param {HTMLElement} facade - .media-facade element
+     */
+    function playMediaFacade(facade) {
+        let url;
+
+        try {
+            url = new URL(facade.dataset.embedSrc, window.location.href);
+        } catch (e) {
+            return;
+        }
+
+        // Only known video hosts may be framed
+        if (url.protocol !== 'https:' || !EMBED_HOSTS.test(url.hostname)) return;
+
+        // The visitor has already asked to play it
+        url.searchParams.set('autoplay', '1');
+
+        const iframe = document.createElement('iframe');
+        iframe.src = url.href;
+        iframe.title = facade.dataset.embedTitle || gettext('Video');
+        iframe.setAttribute('allow', 'autoplay; encrypted-media; fullscreen; picture-in-picture');
+        iframe.setAttribute('allowfullscreen', '');
+
+        facade.removeAttribute('role');
+        facade.removeAttribute('tabindex');
+        facade.removeAttribute('aria-label');
+        facade.classList.add('is-playing');
+        facade.replaceChildren(iframe);
+        iframe.focus();
+    }
+
+    /**
+     * Initialize form submissions with JSON handling
+     */
+    function initFormSubmissions() {
+        const forms = queryAll('form[data-json-form]');
+
+        initFormValidation(forms);
+
+        // Handle forms with data-json-form attribute
+        forms.forEach(function(form) {
+            initFileUploads(form);
+
+            form.addEventListener('submit', function(e) {
+                e.preventDefault();
+
+                // Check declarative rules before anything is sent
+                const errors = validateForm(form);
+                if (Object.keys(errors).length) {
+                    displayFormErrors(errors, form);
+                    return;
+                }
+
+                const url = form.getAttribute('action') || window.location.href;
+                const method = getFormMethod(form, e.submitter);
+                const invalidate = form.dataset.invalidateCache;
+                const hasFiles = !!form.querySelector('input[type="file"]');
+
+                // Forms with file inputs go as multipart; everything else as structured JSON
+                const data = hasFiles ? getUploadFormData(form) : serializeForm(form);
+                const request = sendJsonRequest(url, data, method, {
+                    formSelector: form,
+                    responseType: 'form',
+                    // e.g. data-invalidate-cache="/events/" drops cached listings the submission changed
+                    invalidateCache: invalidate === 'true' ? true : invalidate,
+                    // data-offline-queue keeps the submission if the network is down
+                    offlineQueue: form.hasAttribute('data-offline-queue'),
+                    onProgress: hasFiles ? function(fraction) {
+                        updateUploadProgress(form, fraction);
+                    } : null
+                });
+
+                if (hasFiles) {
+                    const hideProgress = function() {
+                        updateUploadProgress(form, null);
+                    };
+                    request.then(hideProgress, hideProgress);
+                }
+            });
+        });
+    }
+
+    /**
+     * Serialize a form to structured JSON.
+     *   - Names such as address[city] or contacts[0].phone build nested objects and arrays
+     *   - Repeated names, names ending in [] and multi-selects give arrays
+     *   - A lone checkbox is true or false; a group of them gives the checked values
+     *   - data-type="number|boolean|date" converts values (number inputs are numbers
+     *     by default; dates become ISO 8601 strings)
+     * Disabled fields, buttons and file inputs are left out, and so are names with a
+     * __proto__, constructor or prototype segment, which could pollute every object.
+     * @param {string|HTMLFormElement} formSelector - Form to serialize
+     * @returns {Object} Form data
+     */
+    function serializeForm(formSelector) {
+        const form = toElement(formSelector);
+        const data = {};
+        const counts = {};
+
+        if (!form) return data;
+
+        const fields = Array.from(form.elements).filter(function(field) {
+            return field.name && !field.disabled &&
+                !field.matches('fieldset, button, [type="submit"], [type="button"], [type="reset"], [type="image"], [type="file"]') &&
+                !parseFieldName(field.name).some(function(key) {
+                    return UNSAFE_FIELD_KEYS.indexOf(key) !== -1;
+                });
+        });
+
+        fields.forEach(function(field) {
+            counts[field.name] = (counts[field.name] || 0) + 1;
+        });
+
+        fields.forEach(function(field) {
+            const type = (field.type || '').toLowerCase();
+            const path = parseFieldName(field.name);
+            const isList = path[path.length - 1] === '';
+
+            if (isList) {
+                path.pop();
+            }
+
+            if (type === 'checkbox' && !isList && counts[field.name] === 1) {
+                setSerializedValue(data, path, field.checked);
+            } else if (type === 'checkbox' || type === 'select-multiple') {
+                // Groups are arrays even when nothing is chosen
+                pushSerializedValue(data, path);
+                const chosen = type === 'checkbox' ? (field.checked ? [field.value] : []) :
+                    Array.from(field.selectedOptions).map(function(option) { return option.value; });
+
+                chosen.forEach(function(value) {
+                    pushSerializedValue(data, path, convertFieldValue(field, value));
+                });
+            } else if (type === 'radio') {
+                if (field.checked) {
+                    setSerializedValue(data, path, convertFieldValue(field, field.value));
+                } else if (getSerializedValue(data, path) === undefined) {
+                    setSerializedValue(data, path, null);
+                }
+            } else if (isList || counts[field.name] > 1) {
+                pushSerializedValue(data, path, convertFieldValue(field, field.value));
+            } else {
+                setSerializedValue(data, path, convertFieldValue(field, field.value));
+            }
+        });
+
+        return data;
+    }
+
+    /**
+     * Split a field name into its path
+     * @param {string} name - e.g. 'contacts[0].phone'
+     * @returns {Array} e.g. ['contacts', 0, 'phone']; a trailing '' marks a name ending in []
+     */
+    function parseFieldName(name) {
+        const path = [];
+
+        name.replace(/^[^[.]+|\[([^\]]*)\]|\.([^[.]+)/g, function(match, bracket, dot) {
+            const key = bracket !== undefined ? bracket : (dot !== undefined ? dot : match);
+            path.push(/^\d+$/.test(key) ? parseInt(key, 10) : key);
+            return match;
+        });
+
+        return path.length ? path : [name];
+    }
+
+    /**
+     * Find (creating as needed) the object or array holding the last key of a path
+     * @param {Object} data - Serialized data
+     * @param {Array} path - Field path
+     * @returns {Object|Array} Parent container
+     */
+    function getSerializedParent(data, path) {
+        let node = data;
+
+        for (let i = 0; i < path.length - 1; i++) {
+            if (node[path[i]] === null || typeof node[path[i]] !== 'object') {
+                node[path[i]] = typeof path[i + 1] === 'number' ? [] : {};
+            }
+            node = node[path[i]];
+        }
+
+        return node;
+    }
+
+    /**
+     * Read the value at a path
+     * @param {Object} data - Serialized data
+     * @param {Array} path - Field path
+     * @returns {*} Value, or undefined
+     */
+    function getSerializedValue(data, path) {
+        return getSerializedParent(data, path)[path[path.length - 1]];
+    }
+
+    /**
+     * Set the value at a path
+     * @param {Object} data - Serialized data
+     * @param {Array} path - Field path
+     * @param {*} value - Value
+     */
+    function setSerializedValue(data, path, value) {
+        getSerializedParent(data, path)[path[path.length - 1]] = value;
+    }
+
+    /**
+     * Append to the array at a path, turning a single value into an array first
+     * @param {Object} data - Serialized data
+     * @param {Array} path - Field path
+     * @param {*} [value] - Value to append; omit to just make sure the array exists
+     */
+    function pushSerializedValue(data, path, value) {
+        const parent = getSerializedParent(data, path);
+        const key = path[path.length - 1];
+
+        if (!Array.isArray(parent[key])) {
+            parent[key] = parent[key] === undefined ? [] : [parent[key]];
+        }
+        if (arguments.length > 2) {
+            parent[key].push(value);
+        }
+    }
+
+    /**
+     * Convert a field value according to its data-type (or number/range input type)
+     * @param {HTMLElement} field - Form field
+     * @param {string} value - Raw value
+     * @returns {*} Typed value; empty numbers and dates become null
+     */
+    function convertFieldValue(field, value) {
+        const fieldType = (field.type || '').toLowerCase();
+        const type = field.dataset.type || (fieldType === 'number' || fieldType === 'range' ? 'number' : null);
+
+        switch (type) {
+            case 'number': {
+                const number = value.trim() === '' ? NaN : Number(value);
+                return isNaN(number) ? null : number;
+            }
+            case 'boolean':
+                return /^(true|1|on|yes)$/i.test(value.trim());
+            case 'date': {
+                const date = value.trim() === '' ? null : new Date(value);
+                return date && !isNaN(date.getTime()) ? date.toISOString() : null;
+            }
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * Enhance the file inputs of a JSON form: chosen files are kept in a list
+     * that can be edited before upload, dropped onto a [data-dropzone] around
+     * the input, and checked against accept, data-max-size (e.g. "5MB") and
+     * data-max-files before they are accepted
+     * @param {HTMLFormElement} form - Form with file inputs
+     */
+    function initFileUploads(form) {
+        const inputs = queryAll('input[type="file"]', form);
+
+        if (!inputs.length) return;
+
+        inputs.forEach(function(input) {
+            const zone = input.closest('[data-dropzone]');
+            const list = document.createElement('ul');
+
+            list.className = 'upload-file-list';
+            list.setAttribute('aria-live', 'polite');
+            (zone || input).after(list);
+            uploadSelections.set(input, { files: [], list: list });
+
+            input.addEventListener('change', function() {
+                addUploadFiles(input, input.files);
+
+                // The list is the source of truth; clearing lets the same file be picked again
+                input.value = '';
+            });
+
+            delegate('click', '.upload-file-remove', function() {
+                const selection = uploadSelections.get(input);
+
+                selection.files.splice(parseInt(this.dataset.index, 10), 1);
+                renderUploadList(input);
+                input.focus();
+            }, list);
+
+            if (!zone) return;
+
+            ['dragenter', 'dragover'].forEach(function(type) {
+                zone.addEventListener(type, function(e) {
+                    e.preventDefault();
+                    zone.classList.add('is-dragover');
+                });
+            });
+            zone.addEventListener('dragleave', function(e) {
+                if (!zone.contains(e.relatedTarget)) {
+                    zone.classList.remove('is-dragover');
+                }
+            });
+            zone.addEventListener('drop', function(e) {
+                e.preventDefault();
+                zone.classList.remove('is-dragover');
+                addUploadFiles(input, e.dataTransfer.files);
+            });
+        });
+
+        // A successful submission resets the form; the lists go with it
+        form.addEventListener('reset', function() {
+            inputs.forEach(function(input) {
+                uploadSelections.get(input).files = [];
+                renderUploadList(input);
+            });
+        });
+    }
+
+    /**
+     * Check new files and add the acceptable ones to an input's list
+     * @param {HTMLInputElement} input - File input
+     * @param {FileList|Array} files - Chosen or dropped files
+     */
+    function addUploadFiles(input, files) {
+        const selection = uploadSelections.get(input);
+        const maxFiles = input.multiple ? parseInt(input.dataset.maxFiles, 10) || Infinity : 1;
+        const errors = [];
+
+        Array.from(files).forEach(function(file) {
+            const error = getUploadError(input, file);
+
+            if (error) {
+                errors.push(error);
+                return;
+            }
+
+            // A single-file input swaps its file instead of adding another
+            if (!input.multiple) {
+                selection.files = [];
+            }
+
+            if (selection.files.length >= maxFiles) {
+                errors.push(interpolate(input.getAttribute('data-error-max-files') || gettext(VALIDATION_MESSAGES.maxFiles), { max: formatNumber(maxFiles) }));
+                return;
+            }
+
+            selection.files.push(file);
+        });
+
+        renderUploadList(input);
+
+        if (errors.length) {
+            // Duplicates come from several files failing the same check
+            showFieldError([input], errors.filter(function(error, index) {
+                return errors.indexOf(error) === index;
+            }).join(' '));
+        } else {
+            clearFieldError([input]);
+        }
+    }
+
+    /**
+     * Check a file against the input's accept and data-max-size attributes
+     * @param {HTMLInputElement} input - File input
+     * @param {File} file - File to check
+     * @returns {string|null} Error message, or null when acceptable
+     */
+    function getUploadError(input, file) {
+        const accept = (input.getAttribute('accept') || '').split(',').map(function(type) {
+            return type.trim().toLowerCase();
+        }).filter(Boolean);
+        const name = file.name.toLowerCase();
+        const type = (file.type || '').toLowerCase();
+        const maxSize = parseFileSize(input.dataset.maxSize);
+
+        // accept lists extensions (.pdf), exact types (application/pdf) or families (image/*)
+        const accepted = !accept.length || accept.some(function(rule) {
+            if (rule.charAt(0) === '.') return name.slice(-rule.length) === rule;
+            if (rule.slice(-2) === '/*') return type.indexOf(rule.slice(0, -1)) === 0;
+            return type === rule;
+        });
+
+        if (!accepted) {
+            return interpolate(input.getAttribute('data-error-file-type') || gettext(VALIDATION_MESSAGES.fileType), { name: file.name });
+        }
+
+        if (maxSize && file.size > maxSize) {
+            return interpolate(input.getAttribute('data-error-file-size') || gettext(VALIDATION_MESSAGES.fileSize), {
+                name: file.name,
+                max: formatFileSize(maxSize)
+            });
+        }
+
+        return null;
+    }
+
+    /**
+     * Parse a size such as "5MB", "500 KB" or "1048576"
+     * @param {string} value - Size with an optional unit
+     * @returns {number|null} Size in bytes
+     */
+    function parseFileSize(value) {
+        const match = /^\s*(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?\s*$/i.exec(value || '');
+        if (!match) return null;
+
+        const units = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+        return Math.round(parseFloat(match[1]) * units[(match[2] || 'b').toLowerCase()]);
+    }
+
+    /**
+     * Format a byte count for people
+     * @param {number} bytes - Size in bytes
+     * @returns {string} e.g. "2.4 MB"
+     */
+    function formatFileSize(bytes) {
+        const units = [gettext('bytes'), 'KB', 'MB', 'GB'];
+        let size = bytes;
+        let unit = 0;
+
+        while (size >= 1024 && unit < units.length - 1) {
+            size /= 1024;
+            unit++;
+        }
+
+        return `${formatNumber(size, { minimumFractionDigits: unit ? 1 : 0, maximumFractionDigits: unit ? 1 : 0 })} ${units[unit]}`;
+    }
+
+    /**
+     * Redraw the list of files waiting to be uploaded
+     * @param {HTMLInputElement} input - File input
+     */
+    function renderUploadList(input) {
+        const selection = uploadSelections.get(input);
+
+        selection.list.replaceChildren.apply(selection.list, selection.files.map(function(file, index) {
+            const item = renderTemplate('upload-file', {
+                name: file.name,
+                size: formatFileSize(file.size),
+                removeLabel: gettext('Remove {name}', { name: file.name })
+            });
+
+            item.querySelector('.upload-file-remove').dataset.index = index;
+            return item;
+        }));
+    }
+
+    /**
+     * Get the files waiting to be uploaded from an input
+     * @param {HTMLInputElement} input - File input
+     * @returns {Array} Files
+     */
+    function getUploadFiles(input) {
+        const selection = uploadSelections.get(input);
+        return selection ? selection.files : Array.from(input.files || []);
+    }
+
+    /**
+     * Build a multipart body from a form, with each file input's edited list
+     * @param {HTMLFormElement} form - Form being submitted
+     * @returns {FormData} Form data
+     */
+    function getUploadFormData(form) {
+        const data = new FormData(form);
+
+        queryAll('input[type="file"][name]', form).forEach(function(input) {
+            data.delete(input.name);
+            if (input.disabled) return;
+
+            getUploadFiles(input).forEach(function(file) {
+                data.append(input.name, file, file.name);
+            });
+        });
+
+        return data;
+    }
+
+    /**
+     * Show upload progress in the form's [data-upload-progress] element or a <progress> we add
+     * @param {HTMLFormElement} form - Form being uploaded
+     * @param {number|null} fraction - Share uploaded (0 to 1), or null to hide the bar
+     */
+    function updateUploadProgress(form, fraction) {
+        let progress = form.querySelector('[data-upload-progress]');
+
+        if (!progress) {
+            progress = document.createElement('progress');
+            progress.className = 'upload-progress';
+            progress.max = 100;
+            progress.setAttribute('data-upload-progress', '');
+            progress.setAttribute('aria-label', gettext('Upload progress'));
+            form.appendChild(progress);
+        }
+
+        progress.hidden = fraction === null;
+        if (fraction !== null) {
+            progress.value = Math.round(fraction * 100);
+            progress.textContent = formatNumber(fraction, { style: 'percent' });
+        }
+    }
+
+    /**
+     * Resolve the HTTP method a JSON form should use.
+     * HTML forms only know GET and POST, so PUT/PATCH/DELETE are given with
+     * data-method; a submit button's formmethod wins over both.
+     * @param {HTMLFormElement} form - Form being submitted
+     * @param {HTMLElement} [submitter] - Button that submitted the form
+     * @returns {string} Upper-case HTTP method
+     */
+    function getFormMethod(form, submitter) {
+        const method = (submitter && submitter.getAttribute('formmethod')) ||
+            form.getAttribute('data-method') ||
+            form.getAttribute('method') ||
+            'POST';
+
+        return method.toUpperCase();
+    }
+
+    /**
+     * Check whether a method changes server state and needs CSRF protection
+     * @param {string} method - HTTP method
+     * @returns {boolean} True for POST, PUT, PATCH, DELETE etc.
+     */
+    function isUnsafeMethod(method) {
+        return !/^(GET|HEAD|OPTIONS|TRACE)$/i.test(method);
+    }
+
+    /**
+     * Check whether a URL points at this site
+     * @param {string} url - URL to check
+     * @returns {boolean} True for same-origin URLs
+     */
+    function isSameOrigin(url) {
+        return new URL(url || window.location.href, window.location.href).origin === window.location.origin;
+    }
+
+    /**
+     * Read Django's CSRF token from the csrftoken cookie or a {% csrf_token %} input
+     * @param {string|HTMLElement} [formSelector] - Form whose hidden input is preferred
+     * @returns {string|null} CSRF token
+     */
+    function getCsrfToken(formSelector) {
+        const match = document.cookie.match(/(?:^|;\s*)csrftoken=([^;]+)/);
+        if (match) {
+            return decodeURIComponent(match[1]);
+        }
+
+        // Cookie is unavailable with CSRF_COOKIE_HTTPONLY or CSRF_USE_SESSIONS
+        if (refreshedCsrfToken) {
+            return refreshedCsrfToken;
+        }
+
+        const form = toElement(formSelector);
+        const input = (form && form.querySelector('input[name="csrfmiddlewaretoken"]')) ||
+            document.querySelector('input[name="csrfmiddlewaretoken"]');
+        return input ? input.value : null;
+    }
+
+    /**
+     * Fetch a fresh CSRF token from the server
+     * @param {AbortSignal} [signal] - Cancels the refresh along with the request that needed it
+     * @returns {Promise} Resolves with the new token
+     */
+    function refreshCsrfToken(signal) {
+        return performRequest({
+            url: document.body.dataset.csrfUrl || '/csrf/',
+            dataType: 'json',
+            cache: 'no-store',
+            signal: signal
+        }).then(function(result) {
+            refreshedCsrfToken = result.data.csrfToken || null;
+            return getCsrfToken();
+        });
+    }
+
+    /**
+     * Check whether a failed request was rejected by Django's CSRF middleware
+     * @param {Error} error - Request error
+     * @returns {boolean} True for a CSRF failure
+     */
+    function isCsrfFailure(error) {
+        return error.status === 403 && /CSRF/i.test(error.responseText || '');
+    }
+
+    /**
+     * Send JSON request to server
+     * @param {string} url - Endpoint URL
+     * @param {Object|FormData} data - Data to send; FormData goes as multipart/form-data
+     * @param {string} method - HTTP method (GET, POST, PUT, DELETE)
+     * @param {Object} options - Additional options (headers; cache: false skips the response
+     *     cache for GET; invalidateCache: URL prefix to drop after a successful write;
+     *     offlineQueue: save the request to the outbox if the network is down;
+     *     showLoading: false keeps the page-wide loading indicators hidden; timeout in ms and retries
+     *     override the request layer's defaults; target: element or selector the response
+     *     updates, where a newer request aborts an older one (defaults to containerSelector);
+     *     onProgress: called with the uploaded share (0 to 1) of a FormData body;
+     *     showErrors: false skips the error toast, e.g. for background polling)
+     * @returns {Promise} Resolves with the response data and rejects with a request
+     *     error once the failure has been reported; has an abort() method to cancel it
+     *     and jqXHR-style done(), fail() and always()
+     */
+    function sendJsonRequest(url, data = {}, method = 'POST', options = {}) {
+        method = method.toUpperCase();
+
+        const isReadOnly = /^(GET|HEAD)$/i.test(method);
+        const isMultipart = !isReadOnly && data instanceof FormData;
+        const needsCsrf = isUnsafeMethod(method) && isSameOrigin(url);
+        const headers = Object.assign({}, options.headers);
+
+        // GET/HEAD carry their data as query parameters, not a JSON body;
+        // multipart bodies get their Content-Type (with the boundary) from the browser
+        if (!isReadOnly && !isMultipart) {
+            headers['Content-Type'] = 'application/json';
+        }
+
+        // Django rejects unsafe requests without the token; never send it cross-origin.
+        // With no token on the page the header is left out and the 403 triggers a refresh.
+        const csrfToken = needsCsrf && getCsrfToken(options.formSelector);
+        if (csrfToken) {
+            headers['X-CSRFToken'] = csrfToken;
+        }
+
+        // Queued submissions are keyed in the outbox, and the key goes along as a
+        // header so an endpoint can spot a replay. Files cannot be stored in the
+        // outbox, so uploads are never queued.
+        const idempotencyKey = options.offlineQueue && !isMultipart ? (options.idempotencyKey || generateIdempotencyKey()) : null;
+        if (idempotencyKey) {
+            headers['Idempotency-Key'] = idempotencyKey;
+        }
+
+        // One signal cancels the request, a CSRF token refresh and the retry after it
+        const controller = new AbortController();
+        const requestOptions = {
+            url: isReadOnly ? buildRequestUrl(url, data) : url,
+            method: method,
+            dataType: 'json',
+            headers: headers,
+            body: isReadOnly ? undefined : (isMultipart ? data : JSON.stringify(data)),
+            timeout: options.timeout,
+            retries: options.retries,
+            onProgress: options.onProgress,
+            signal: controller.signal
+        };
+
+        // Cached reads are shared with other callers, so abort() cancels them by their own handle
+        let active;
+        const send = function() {
+            // fetch cannot report upload progress, so multipart bodies go through XHR
+            active = isMultipart ? performUpload(requestOptions) : performRequest(requestOptions);
+            return active.then(function(result) {
+                return result.data;
+            });
+        };
+
+        const finishLoading = beginLoading({
+            container: options.target || options.containerSelector,
+            form: options.formSelector,
+            global: options.showLoading !== false
+        });
+
+        // Reads go through the shared response cache
+        let request;
+        if (isReadOnly && options.cache !== false) {
+            active = cachedRequest({
+                url: url,
+                data: data,
+                dataType: 'json',
+                headers: headers,
+                timeout: options.timeout,
+                retries: options.retries
+            });
+            request = active;
+        } else {
+            request = send();
+        }
+
+        // A stale or missing token gets one refresh and retry
+        if (needsCsrf) {
+            request = request.catch(function(error) {
+                if (!isCsrfFailure(error)) {
+                    throw error;
+                }
+
+                return refreshCsrfToken(controller.signal).then(function(token) {
+                    // Aborted while the token was on its way: do not send again
+                    if (controller.signal.aborted) {
+                        throw createRequestError('abort', 0, '');
+                    }
+                    if (token) {
+                        headers['X-CSRFToken'] = token;
+                    }
+                    return send();
+                }, function(refreshError) {
+                    throw controller.signal.aborted ? refreshError : error;
+                });
+            });
+        }
+
+        const promise = request.then(function(responseData) {
+            finishLoading('success');
+
+            // Writes may make cached reads stale
+            if (!isReadOnly && options.invalidateCache) {
+                invalidateCache(options.invalidateCache === true ? url : options.invalidateCache);
+            }
+
+            // Automatically handle JSON response if requested
+            if (options.handleResponse !== false) {
+                handleJsonResponse(responseData, options.responseType || 'default', options);
+            }
+
+            return responseData;
+        }, function(error) {
+            // Requests aborted on purpose (e.g. superseded searches) are not errors
+            if (error.reason === 'abort') {
+                finishLoading('abort');
+                throw error;
+            }
+            finishLoading('error');
+
+            // No response at all: keep opted-in submissions for later instead of losing them
+            if (idempotencyKey && isNetworkFailure(error)) {
+                queueOutboxSubmission({
+                    id: idempotencyKey,
+                    url: new URL(url, window.location.href).href,
+                    method: method,
+                    data: data,
+                    createdAt: Date.now()
+                }).then(function() {
+                    showNotification(gettext('You appear to be offline. We saved your submission and will send it when you reconnect.'), 'info');
+                }, function() {
+                    showNotification(gettext('Request failed'), 'error');
+                });
+
+                dispatch(document, 'stveronica.jsonRequestFailed', { error: error, url: url, method: method });
+                triggerLegacyEvent(document, 'stveronica.jsonRequestFailed', [error, getLegacyTextStatus(error), error.message]);
+                throw error;
+            }
+
+            log('error', 'JSON Request failed:', error);
+            log('debug', `Request status: ${error.status} (${error.reason})`, error.responseText);
+
+            // Try to parse JSON error response
+            let errorMessage = gettext('Request failed');
+            if (error.responseText) {
+                try {
+                    const errorData = JSON.parse(error.responseText);
+                    errorMessage = errorData.message || errorMessage;
+
+                    // Validation errors sent with a 4xx status join the client-side display
+                    if (errorData.form_errors && options.formSelector) {
+                        displayFormErrors(errorData.form_errors, options.formSelector);
+                    }
+                } catch (e) {
+                    // Use default error message if parsing fails
+                    errorMessage = error.responseText.substring(0, 100) + '...';
+                }
+            }
+
+            // Failures that may be temporary can be retried from the toast
+            const canRetry = isNetworkFailure(error) || error.status >= 500;
+            if (options.showErrors !== false) {
+                showNotification(errorMessage, 'error', {
+                    actions: canRetry ? [{
+                        label: gettext('Retry'),
+                        onClick: function() {
+                            sendJsonRequest(url, data, method, options);
+                        }
+                    }] : []
+                });
+            }
+
+            // Trigger custom event for other scripts
+            dispatch(document, 'stveronica.jsonRequestFailed', { error: error, url: url, method: method });
+            triggerLegacyEvent(document, 'stveronica.jsonRequestFailed', [error, getLegacyTextStatus(error), error.message]);
+            throw error;
+        });
+
+        promise.abort = function() {
+            controller.abort();
+            active.abort();
+        };
+        addLegacyCallbacks(promise);
+
+        supersedeRequest(options.target || options.containerSelector, promise);
+
+        // Failures are reported above, so callers need not handle the rejection
+        promise.catch(noop);
+
+        return promise;
+    }
+
+    /**
+     * Give a request promise the done/fail/always callbacks of the jqXHR that
+     * sendJsonRequest returned before it moved to fetch, with the same arguments:
+     * (data, 'success', request) on success and (error, textStatus, message) on
+     * failure, where the error carries status and responseText like an XHR
+     * @param {Promise} promise - Request promise
+     * @returns {Promise} The same promise, so the calls chain as they did
+     */
+    function addLegacyCallbacks(promise) {
+        promise.done = function(callback) {
+            promise.then(function(data) {
+                callback(data, 'success', promise);
+            }, noop);
+            return promise;
+        };
+
+        promise.fail = function(callback) {
+            promise.then(noop, function(error) {
+                callback(error, getLegacyTextStatus(error), error.message);
+            });
+            return promise;
+        };
+
+        promise.always = function(callback) {
+            return promise.done(callback).fail(callback);
+        };
+
+        return promise;
+    }
+
+    /**
+     * Name a request failure the way jQuery's textStatus did
+     * @param {Error} error - Request error
+     * @returns {string} 'abort', 'timeout', 'parsererror' or 'error'
+     */
+    function getLegacyTextStatus(error) {
+        return { abort: 'abort', timeout: 'timeout', parse: 'parsererror' }[error.reason] || 'error';
+    }
+
+    /**
+     * Trigger an event through jQuery as well, when the page loads it, so handlers
+     * bound with $(document).on(name, function(e, ...args)) still get their
+     * arguments now that native listeners read them from event.detail
+     * @param {EventTarget} target - Element or document
+     * @param {string} name - Event name
+     * @param {Array} args - Extra handler arguments
+     */
+    function triggerLegacyEvent(target, name, args) {
+        if (window.jQuery) {
+            window.jQuery(target).trigger(name, args);
+        }
+    }
+
+    /**
+     * Create a unique key for a submission
+     * @returns {string} Idempotency key
+     */
+    function generateIdempotencyKey() {
+        if (window.crypto && window.crypto.randomUUID) {
+            return window.crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+    }
+
+    /**
+     * Check whether a request failed without reaching the server
+     * @param {Error} error - Request error
+     * @returns {boolean} True for offline, DNS and timeout failures
+     */
+    function isNetworkFailure(error) {
+        return error.reason === 'network' || error.reason === 'timeout';
+    }
+
+    /**
+     * Run a callback against the outbox object store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} callback - Receives the store and returns an IDBRequest
+     * @returns {Promise} Resolves with the request's result
+     */
+    function withOutboxStore(mode, callback) {
+        if (!outboxDatabase) {
+            outboxDatabase = new Promise(function(resolve, reject) {
+                if (!('indexedDB' in window)) {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+
+                const request = window.indexedDB.open(OUTBOX_DB_NAME, 1);
+                request.onupgradeneeded = function() {
+                    request.result.createObjectStore(OUTBOX_STORE, { keyPath: 'id' });
+                };
+                request.onsuccess = function() {
+                    resolve(request.result);
+                };
+                request.onerror = function() {
+                    reject(request.error);
+                };
+            });
+        }
+
+        return outboxDatabase.then(function(db) {
+            return new Promise(function(resolve, reject) {
+                const transaction = db.transaction(OUTBOX_STORE, mode);
+                const request = callback(transaction.objectStore(OUTBOX_STORE));
+
+                transaction.oncomplete = function() {
+                    resolve(request.result);
+                };
+                transaction.onerror = transaction.onabort = function() {
+                    reject(transaction.error);
+                };
+            });
+        });
+    }
+
+    /**
+     * Save a submission to the outbox; a repeated idempotency key replaces the old entry
+     * @param {Object} entry - { id, url, method, data, createdAt }
+     * @returns {Promise} Resolves once stored
+     */
+    function queueOutboxSubmission(entry) {
+        return withOutboxStore('readwrite', function(store) {
+            return store.put(entry);
+        }).then(updateOutboxIndicator);
+    }
+
+    /**
+     * Send every queued submission, oldest first.
+     * Stops at the first network failure; entries the server rejects are dropped.
+     * @returns {Promise} Resolves once the replay pass is over
+     */
+    function replayOutbox() {
+        if (outboxReplaying) {
+            return Promise.resolve();
+        }
+
+        // Still offline: just make sure the pending count is visible
+        if (!navigator.onLine) {
+            return updateOutboxIndicator().catch(noop);
+        }
+        outboxReplaying = true;
+
+        let sent = 0;
+
+        return withOutboxStore('readonly', function(store) {
+            return store.getAll();
+        }).then(function(entries) {
+            entries.sort(function(a, b) { return a.createdAt - b.createdAt; });
+
+            // Replay one at a time so submissions arrive in the order they were made
+            return entries.reduce(function(chain, entry) {
+                return chain.then(function(keepGoing) {
+                    return keepGoing === false ? false : replayOutboxEntry(entry).then(function(result) {
+                        if (result === 'sent') sent++;
+                        return result !== 'offline';
+                    });
+                });
+            }, Promise.resolve());
+        }).then(function() {
+            if (sent) {
+                showNotification(ngettext('Your saved submission has been sent.', '{count} saved submissions have been sent.', sent), 'success');
+            }
+        }).catch(function(error) {
+            log('error', 'Outbox replay failed:', error);
+        }).then(function() {
+            outboxReplaying = false;
+            return updateOutboxIndicator();
+        });
+    }
+
+    /**
+     * Send a single queued submission
+     * @param {Object} entry - Outbox entry
+     * @returns {Promise} Resolves with 'sent', 'rejected', 'retry' or 'offline'
+     */
+    function replayOutboxEntry(entry) {
+        const sameOrigin = isSameOrigin(entry.url);
+        const send = function() {
+            const headers = { 'Content-Type': 'application/json', 'Idempotency-Key': entry.id };
+            const csrfToken = sameOrigin && getCsrfToken();
+            if (csrfToken) {
+                headers['X-CSRFToken'] = csrfToken;
+            }
+
+            return performRequest({
+                url: entry.url,
+                method: entry.method,
+                dataType: 'json',
+                body: JSON.stringify(entry.data),
+                headers: headers
+            });
+        };
+
+        return send().catch(function(error) {
+            // The token may have expired while the entry waited: refresh it once
+            if (!sameOrigin || !isCsrfFailure(error)) {
+                throw error;
+            }
+            return refreshCsrfToken().then(send);
+        }).then(function() {
+            return 'sent';
+        }, function(error) {
+            if (isNetworkFailure(error)) {
+                return 'offline';
+            }
+            if (error.status >= 500) {
+                // Server trouble: try again on the next pass
+                return 'retry';
+            }
+
+            // The form is gone, so a rejected submission can only be reported
+            showNotification(gettext('A saved submission could not be sent. Please fill in the form again.'), 'error');
+            return 'rejected';
+        }).then(function(result) {
+            if (result === 'sent' || result === 'rejected') {
+                return withOutboxStore('readwrite', function(store) {
+                    return store.delete(entry.id);
+                }).then(function() {
+                    return result;
+                });
+            }
+            return result;
+        });
+    }
+
+    /**
+     * Show how many submissions are waiting in the outbox
+     * @returns {Promise} Resolves with the pending count
+     */
+    function updateOutboxIndicator() {
+        return withOutboxStore('readonly', function(store) {
+            return store.count();
+        }).then(function(count) {
+            let indicator = document.getElementById('outbox-indicator');
+
+            if (!indicator) {
+                indicator = document.createElement('div');
+                indicator.id = 'outbox-indicator';
+                indicator.className = 'outbox-indicator';
+                indicator.setAttribute('role', 'status');
+                indicator.setAttribute('aria-live', 'polite');
+                document.body.appendChild(indicator);
+            }
+
+            indicator.textContent = ngettext('{count} pending submission', '{count} pending submissions', count);
+            indicator.hidden = count === 0;
+            return count;
+        });
+    }
+
+    /**
+     * Set up the offline outbox: replay on load and whenever the connection returns
+     */
+    function initOfflineOutbox() {
+        if (!('indexedDB' in window)) return;
+
+        window.addEventListener('online', function() {
+            replayOutbox();
+        });
+        replayOutbox();
+    }
+
+    /**
+     * Publish an analytics event.
+     * Listeners always receive it; it is only queued for the server when the
+     * visitor has consented, Do-Not-Track is off and an endpoint is configured.
+     * @param {string} name - Event name, e.g. 'donate_click'
+     * @param {Object} [properties] - Flat properties; personal keys and values are dropped
+     */
+    function trackEvent(name, properties = {}) {
+        const event = {
+            name: name,
+            properties: sanitizeAnalyticsProperties(properties),
+            // Path only: query strings can carry search terms or tokens
+            path: window.location.pathname,
+            timestamp: Date.now()
+        };
+
+        analyticsListeners.forEach(function(listener) {
+            try {
+                listener(event);
+            } catch (error) {
+                log('error', 'Analytics listener failed:', error);
+            }
+        });
+
+        if (!isAnalyticsEnabled()) return;
+
+        analyticsQueue.push(event);
+
+        if (analyticsQueue.length >= ANALYTICS_BATCH_SIZE) {
+            flushAnalytics();
+        } else if (!analyticsTimer) {
+            analyticsTimer = setTimeout(flushAnalytics, ANALYTICS_FLUSH_INTERVAL);
+        }
+    }
+
+    /**
+     * Register a listener on the analytics bus, e.g. to forward events elsewhere
+     * @param {Function} listener - Called with each event { name, properties, path, timestamp }
+     * @returns {Function} Call to unregister the listener
+     */
+    function registerAnalyticsListener(listener) {
+        if (typeof listener !== 'function') {
+            throw new TypeError('Analytics listener must be a function');
+        }
+
+        analyticsListeners.push(listener);
+
+        return function() {
+            const index = analyticsListeners.indexOf(listener);
+            if (index !== -1) {
+                analyticsListeners.splice(index, 1);
+            }
+        };
+    }
+
+    /**
+     * Record the visitor's analytics choice, e.g. from a cookie banner
+     * @param {boolean} granted - Whether events may be sent
+     */
+    function setAnalyticsConsent(granted) {
+        try {
+            window.localStorage.setItem(ANALYTICS_CONSENT_KEY, granted ? 'granted' : 'denied');
+        } catch (e) {
+            // Storage unavailable: the choice lasts for this page only
+        }
+        document.body.dataset.analyticsConsent = granted ? 'granted' : 'denied';
+
+        // Nothing collected before a refusal may leave the page
+        if (!granted) {
+            analyticsQueue.length = 0;
+            clearTimeout(analyticsTimer);
+            analyticsTimer = null;
+        }
+    }
+
+    /**
+     * Read the visitor's analytics choice: a stored choice wins over the page default
+     * @returns {boolean} True when the visitor has consented
+     */
+    function hasAnalyticsConsent() {
+        let stored = null;
+
+        try {
+            stored = window.localStorage.getItem(ANALYTICS_CONSENT_KEY);
+        } catch (e) {
+            // Fall back to the page default
+        }
+
+        return (stored || document.body.dataset.analyticsConsent) === 'granted';
+    }
+
+    /**
+     * Check whether events may be sent to the server
+     * @returns {boolean} True with consent, without Do-Not-Track and with a first-party endpoint
+     */
+    function isAnalyticsEnabled() {
+        const endpoint = document.body.dataset.analyticsUrl;
+        const doNotTrack = navigator.doNotTrack === '1' || window.doNotTrack === '1' || navigator.globalPrivacyControl === true;
+
+        return !!endpoint && isSameOrigin(endpoint) && !doNotTrack && hasAnalyticsConsent();
+    }
+
+    /**
+     * Keep only flat, non-personal properties
+     * @param {Object} properties - Raw properties
+     * @returns {Object} Properties safe to send
+     */
+    function sanitizeAnalyticsProperties(properties) {
+        const clean = {};
+
+        Object.keys(properties).forEach(function(key) {
+            const value = properties[key];
+
+            if (PERSONAL_KEY_PATTERN.test(key)) return;
+
+            if (typeof value === 'string') {
+                clean[key] = scrubPersonalData(value).slice(0, 200);
+            } else if (typeof value === 'number' || typeof value === 'boolean' || value === null) {
+                clean[key] = value;
+            }
+        });
+
+        return clean;
+    }
+
+    /**
+     * Mask email addresses and long digit runs (phone, card and account numbers) in text
+     * @param {string} text - Text that may contain personal data
+     * @returns {string} Scrubbed text
+     */
+    function scrubPersonalData(text) {
+        return String(text)
+            .replace(/[^\s@]+@[^\s@]+\.[^\s@]+/g, '[email]')
+            .replace(/\+?\d[\d\s().-]{5,}\d/g, '[number]');
+    }
+
+    /**
+     * Send queued events in one beacon
+     */
+    function flushAnalytics() {
+        clearTimeout(analyticsTimer);
+        analyticsTimer = null;
+
+        if (!analyticsQueue.length || !isAnalyticsEnabled()) return;
+
+        postBeacon(document.body.dataset.analyticsUrl, { events: JSON.stringify(analyticsQueue.splice(0)) });
+    }
+
+    /**
+     * POST form fields in a beacon, which survives the page being closed
+     * @param {string} endpoint - First-party URL
+     * @param {Object} fields - Field names and string values
+     */
+    function postBeacon(endpoint, fields) {
+        const payload = new FormData();
+        const csrfToken = getCsrfToken();
+
+        Object.keys(fields).forEach(function(name) {
+            payload.append(name, fields[name]);
+        });
+
+        // Beacons cannot set headers, so the CSRF token travels as a form field
+        if (csrfToken) {
+            payload.append('csrfmiddlewaretoken', csrfToken);
+        }
+
+        if (navigator.sendBeacon && navigator.sendBeacon(endpoint, payload)) return;
+
+        // No beacon support, or the browser refused to queue it
+        fetch(endpoint, {
+            method: 'POST',
+            body: payload,
+            credentials: 'same-origin',
+            keepalive: true
+        }).catch(noop);
+    }
+
+    /**
+     * Wire the analytics bus to page events and flush before the page goes away
+     */
+    function initAnalytics() {
+        document.addEventListener('visibilitychange', function() {
+            if (document.visibilityState === 'hidden') {
+                flushAnalytics();
+            }
+        });
+        window.addEventListener('pagehide', flushAnalytics);
+
+        document.addEventListener('stveronica.jsonProcessed', function(e) {
+            const data = e.detail.data || {};
+
+            trackEvent('json_processed', {
+                responseType: e.detail.options.responseType || 'default',
+                success: data.success === undefined ? null : !!data.success,
+                redirect: !!data.redirect,
+                formErrors: !!data.form_errors
+            });
+        });
+
+        document.addEventListener('stveronica.jsonRequestFailed', function(e) {
+            trackEvent('json_request_failed', {
+                method: e.detail.method,
+                url: new URL(e.detail.url, window.location.href).pathname,
+                status: e.detail.error.status,
+                reason: e.detail.error.reason
+            });
+        });
+
+        // Opening and closing the donation dialog, to measure abandonment
+        document.addEventListener('shown.bs.modal', function(e) {
+            if (e.target.id === 'donateModal') trackEvent('donate_modal_open');
+        });
+        document.addEventListener('hidden.bs.modal', function(e) {
+            if (e.target.id === 'donateModal') trackEvent('donate_modal_close');
+        });
+    }
+
+    /**
+     * Report uncaught errors, unhandled promise rejections and server failures
+     * of JSON requests. Bound before the DOM is ready so start-up errors count.
+     */
+    function initErrorReporting() {
+        window.addEventListener('error', function(e) {
+            // Cross-origin scripts only say "Script error." with nothing to go on
+            if (!e.error && (!e.message || e.message === 'Script error.')) return;
+
+            reportError(e.error || e.message, {
+                kind: 'error',
+                source: scrubReportText(e.filename || ''),
+                line: e.lineno || null,
+                column: e.colno || null
+            });
+        });
+
+        window.addEventListener('unhandledrejection', function(e) {
+            const reason = e.reason;
+
+            // Failed requests are reported below, and aborted ones are deliberate
+            if (reason && typeof reason.reason === 'string' && 'responseText' in reason) return;
+
+            reportError(reason, { kind: 'unhandledrejection' });
+        });
+
+        document.addEventListener('stveronica.jsonRequestFailed', function(e) {
+            const error = e.detail.error;
+
+            // Dropped connections, timeouts and 4xx answers are not faults on our side
+            if (!(error.status >= 500 || error.reason === 'parse')) return;
+
+            reportError(error, {
+                kind: 'request',
+                method: e.detail.method,
+                url: new URL(e.detail.url, window.location.href).pathname,
+                status: error.status,
+                reason: error.reason
+            });
+        });
+    }
+
+    /**
+     * Send an error to the first-party endpoint in <body data-error-report-url>
+     * with the page and context it happened in. Messages and stacks are scrubbed
+     * of personal data and query strings; repeats and bursts are dropped.
+     * @param {Error|string} error - Error to report
+     * @param {Object} [context] - Flat details such as { kind: 'request', status: 500 }
+     * @returns {boolean} True when a report was sent
+     */
+    function reportError(error, context = {}) {
+        const endpoint = document.body && document.body.dataset.errorReportUrl;
+        if (!endpoint || !isSameOrigin(endpoint)) return false;
+
+        const message = error instanceof Error ? `${error.name}: ${error.message}` : String(error);
+        const fingerprint = message + JSON.stringify(context);
+        const now = Date.now();
+
+        while (errorReportTimes.length && now - errorReportTimes[0] > ERROR_REPORT_WINDOW) {
+            errorReportTimes.shift();
+        }
+        if (errorReportsSent.has(fingerprint) || errorReportTimes.length >= ERROR_REPORT_LIMIT) return false;
+
+        errorReportsSent.add(fingerprint);
+        errorReportTimes.push(now);
+
+        // Not sendJsonRequest: a failed report would be reported in turn
+        postBeacon(endpoint, {
+            report: JSON.stringify({
+                message: scrubReportText(message).slice(0, 500),
+                stack: error && error.stack ? scrubReportText(error.stack).slice(0, 2000) : null,
+                context: sanitizeAnalyticsProperties(context),
+                // Path only, as with analytics events
+                path: window.location.pathname,
+                language: getLocale(),
+                userAgent: navigator.userAgent,
+                viewport: `${window.innerWidth}x${window.innerHeight}`,
+                timestamp: now
+            })
+        });
+        log('debug', 'Error reported:', message);
+        return true;
+    }
+
+    /**
+     * Drop query strings and fragments from URLs, then mask personal data
+     * @param {string} text - Error message, stack trace or script URL
+     * @returns {string} Text safe to report
+     */
+    function scrubReportText(text) {
+        return scrubPersonalData(String(text).replace(/(https?:\/\/[^\s?#)]*)[?#][^\s:)]*/g, '$1'));
+    }
+
+    /**
+     * Handle JSON response from AJAX requests.
+     * The handler is picked by the response's own "type" field when a handler is
+     * registered for it, then by responseType (e.g. data-json-handler), then
+     * 'default'. "before" middleware runs first and can replace the data or
+     * return false to stop handling; "after" middleware runs last.
+     * @param {Object} data - JSON data received from server
+     * @param {string} responseType - Type of response to determine processing method
+     * @param {Object} options - Additional options for handling the response
+     * @returns {boolean} True when the response was handled
+     */
+    function handleJsonResponse(data, responseType = 'default', options = {}) {
+        let type = 'default';
+        if (data && typeof data.type === 'string' && responseHandlers[data.type]) {
+            type = data.type;
+        } else if (responseHandlers[responseType]) {
+            type = responseType;
+        }
+
+        try {
+            for (let i = 0; i < responseMiddleware.before.length; i++) {
+                const result = responseMiddleware.before[i](data, options, type);
+
+                if (result === false) {
+                    return false;
+                }
+                if (result && typeof result === 'object') {
+                    data = result;
+                }
+            }
+
+            // Handlers for a type run in registration order until one returns false
+            responseHandlers[type].every(function(handler) {
+                return handler(data, options, type) !== false;
+            });
+
+            responseMiddleware.after.forEach(function(middleware) {
+                middleware(data, options, type);
+            });
+
+            log('debug', `JSON response handled by "${type}":`, data);
+            return true;
+        } catch (error) {
+            log('error', 'Error handling JSON response:', error);
+            reportError(error, { kind: 'handler', responseType: type });
+            showNotification(gettext('Error processing server response'), 'error');
+            return false;
+        }
+    }
+
+    /**
+     * Register a handler for a response type.
+     * Several handlers can share a type; they run in order and any of them can
+     * return false to stop the rest.
+     * @param {string} type - Response type, matched against data.type or data-json-handler
+     * @param {Function} handler - Called with (data, options, type)
+     * @returns {Function} Call to unregister the handler
+     */
+    function registerResponseHandler(type, handler) {
+        if (typeof handler !== 'function') {
+            throw new TypeError('Response handler must be a function');
+        }
+
+        (responseHandlers[type] = responseHandlers[type] || []).push(handler);
+
+        return function() {
+            const handlers = responseHandlers[type] || [];
+            const index = handlers.indexOf(handler);
+
+            if (index !== -1) {
+                handlers.splice(index, 1);
+            }
+            // 'default' stays registered so there is always a fallback type
+            if (!handlers.length && type !== 'default') {
+                delete responseHandlers[type];
+            }
+        };
+    }
+
+    /**
+     * Register middleware that runs around every response handler,
+     * e.g. auth-expired detection before, analytics after
+     * @param {string} stage - 'before' or 'after'
+     * @param {Function} middleware - Called with (data, options, type)
+     * @returns {Function} Call to unregister the middleware
+     */
+    function registerResponseMiddleware(stage, middleware) {
+        if (!responseMiddleware[stage]) {
+            throw new Error(`Unknown middleware stage: ${stage}`);
+        }
+
+        responseMiddleware[stage].push(middleware);
+
+        return function() {
+            const index = responseMiddleware[stage].indexOf(middleware);
+            if (index !== -1) {
+                responseMiddleware[stage].splice(index, 1);
+            }
+        };
+    }
+
+    /**
+     * Process general JSON data
+     * @param {Object} data - JSON data to process
+     * @param {Object} options - Processing options
+     */
+    function processJsonData(data, options = {}) {
+        // Handle common JSON response patterns. Live search suggestions only
+        // fill their listbox, so they leave the rest of the page alone.
+        if (!options.liveSearch) {
+            if (data.message) {
+                const type = data.success ? 'success' : 'error';
+
+                // The page is about to change, so carry the message across the redirect
+                if (data.redirect) {
+                    flashNotification(data.message, type);
+                } else {
+                    showNotification(data.message, type);
+                }
+            }
+
+            if (data.redirect) {
+                fadeTo(document.querySelector('.content-wrapper'), 0, 500).then(function() {
+                    window.location.href = data.redirect;
+                });
+            }
+
+            if (data.content) {
+                loadAjaxContent(data.content);
+            }
+        }
+
+        // Dispatch custom event for other scripts to listen to (event.detail holds data and options)
+        dispatch(document, 'stveronica.jsonProcessed', { data: data, options: options });
+        triggerLegacyEvent(document, 'stveronica.jsonProcessed', [data, options]);
+    }
+
+    /**
+     * Process form submission JSON response
+     * @param {Object} data - Form response data
+     * @param {Object} options - Processing options
+     */
+    function processFormResponse(data, options = {}) {
+        // Handle form-specific responses
+        if (data.form_errors) {
+            // Display form errors
+            displayFormErrors(data.form_errors, options.formSelector);
+        }
+
+        if (data.form_success) {
+            // Clear form and show success message
+            const form = toElement(options.formSelector);
+            if (form) {
+                clearFormErrors(form);
+                form.reset();
+            }
+
+            if (data.redirect) {
+                flashNotification(data.form_success, 'success');
+            } else {
+                showNotification(data.form_success, 'success');
+            }
+        }
+
+        // Process general data as well
+        processJsonData(data, options);
+    }
+
+    /**
+     * Process search JSON response
+     * @param {Object} data - Search response data
+     * @param {Object} options - Processing options
+     */
+    function processSearchResponse(data, options = {}) {
+        // Handle search-specific responses
+        if (data.search_results) {
+            displaySearchResults(data.search_results, options.containerSelector, options);
+
+            // Suggestions fetched while typing are not searches the visitor ran
+            if (!options.liveSearch) {
+                trackEvent('search', {
+                    query: data.search_query || '',
+                    results: typeof data.total === 'number' ? data.total : data.search_results.length
+                });
+            }
+        }
+
+        if (data.search_query && !options.liveSearch) {
+            updateSearchQueryDisplay(data.search_query);
+        }
+
+        // Process general data as well
+        processJsonData(data, options);
+    }
+
+    /**
+     * Process notification JSON response
+     * @param {Object} data - Notification response data
+     * @param {Object} options - Processing options
+     */
+    function processNotificationResponse(data, options = {}) {
+        // Handle notification-specific responses
+        if (data.notifications) {
+            data.notifications.forEach(notification => {
+                if (data.redirect) {
+                    flashNotification(notification.message, notification.type || 'info');
+                } else {
+                    showNotification(notification.message, notification.type || 'info');
+                }
+            });
+        }
+
+        // Process general data as well
+        processJsonData(data, options);
+    }
+
+    /**
+     * Parse JSON response string
+     * @param {string} jsonString - JSON string to parse
+     * @returns {Object} Parsed JSON object
+     */
+    function parseJsonResponse(jsonString) {
+        try {
+            return JSON.parse(jsonString);
+        } catch (error) {
+            log('error', 'Error parsing JSON:', error);
+            throw new Error('Invalid JSON response');
+        }
+    }
+
+    /**
+     * Display form errors in the UI.
+     * Client-side and server-side errors share this display: each field gets
+     * .is-invalid plus an .error-message wired up with aria-describedby, and a
+     * focused summary at the top of the form lists every problem.
+     * @param {Object} errors - Error object with field names as keys (string or list of strings);
+     *     __all__ / non_field_errors appear in the summary only
+     * @param {string|HTMLElement} formSelector - Form element or selector
+     */
+    function displayFormErrors(errors, formSelector) {
+        const form = toElement(formSelector);
+        if (!form) return;
+
         // Clear previous errors
-        $('.error-message').remove();
-        $('.is-invalid').removeClass('is-invalid');
-        
+        clearFormErrors(form);
+
         // Display new errors
+        const summary = [];
         Object.keys(errors).forEach(field => {
-            const fieldSelector = `${formSelector} [name="${field}"]`;
-            const $field = $(fieldSelector);
-            
-            if ($field.length) {
-                $field.addClass('is-invalid');
-                const errorMessage = errors[field];
-                $field.after(`<div class="error-message text-danger">${errorMessage}</div>`);
+            const errorMessage = [].concat(errors[field]).join(' ');
+            const fields = queryByName(form, field);
+
+            if (fields.length && NON_FIELD_ERROR_KEYS.indexOf(field) === -1) {
+                showFieldError(fields, errorMessage);
+                summary.push({ message: errorMessage, target: fields[0].id });
+            } else {
+                summary.push({ message: errorMessage, target: null });
+            }
+        });
+
+        if (summary.length) {
+            renderErrorSummary(form, summary);
+        }
+    }
+
+    /**
+     * Remove every error message, invalid state and the summary from a form
+     * @param {HTMLFormElement} form - Form element
+     */
+    function clearFormErrors(form) {
+        queryAll('.is-invalid', form).forEach(function(field) {
+            clearFieldError([field]);
+        });
+        queryAll('.error-message, .error-summary', form).forEach(function(element) {
+            element.remove();
+        });
+    }
+
+    /**
+     * Mark a field invalid and render its message in the server's format
+     * @param {Array} fields - Field (or every input of a radio/checkbox group) with the error
+     * @param {string} message - Error message
+     */
+    function showFieldError(fields, message) {
+        clearFieldError(fields);
+
+        const anchor = fields[fields.length - 1];
+        const errorId = `${ensureFieldId(fields[0])}-error`;
+
+        fields.forEach(function(field) {
+            const describedBy = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+            describedBy.push(errorId);
+
+            field.classList.add('is-invalid');
+            field.setAttribute('aria-invalid', 'true');
+            field.setAttribute('aria-describedby', describedBy.join(' '));
+        });
+
+        anchor.after(renderTemplate('form-error', { id: errorId, message: message }));
+    }
+
+    /**
+     * Clear the error state of a single field
+     * @param {Array} fields - Field (or every input of a radio/checkbox group)
+     */
+    function clearFieldError(fields) {
+        const errorId = `${ensureFieldId(fields[0])}-error`;
+        const error = document.getElementById(errorId);
+
+        fields.forEach(function(field) {
+            const describedBy = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(function(id) {
+                return id && id !== errorId;
+            });
+
+            field.classList.remove('is-invalid');
+            field.removeAttribute('aria-invalid');
+            if (describedBy.length) {
+                field.setAttribute('aria-describedby', describedBy.join(' '));
+            } else {
+                field.removeAttribute('aria-describedby');
+            }
+        });
+
+        if (error) {
+            error.remove();
+        }
+    }
+
+    /**
+     * Give a field an id so error messages and summary links can point at it
+     * @param {HTMLElement} field - Field element
+     * @returns {string} Field id
+     */
+    function ensureFieldId(field) {
+        if (!field.id) {
+            const form = field.closest('form');
+            const formId = (form && form.id) || 'form';
+            field.id = `${formId}-${String(field.getAttribute('name')).replace(/[^\w-]/g, '-')}`;
+        }
+
+        return field.id;
+    }
+
+    /**
+     * Render the error summary at the top of the form and move focus to it
+     * @param {HTMLFormElement} form - Form element
+     * @param {Array} items - { message, target } pairs; target is a field id or null
+     */
+    function renderErrorSummary(form, items) {
+        const summary = renderTemplate('error-summary', {}, {
+            items: items.map(function(item) {
+                return renderTemplate('error-summary-item', {
+                    message: item.message,
+                    href: item.target ? `#${item.target}` : null
+                });
+            })
+        }).firstElementChild;
+
+        (form.querySelector('[data-error-summary]') || form).prepend(summary);
+
+        // Summary links focus the field instead of just scrolling to it
+        delegate('click', 'a', function(e) {
+            const field = document.getElementById(this.getAttribute('href').slice(1));
+
+            e.preventDefault();
+            if (field) field.focus();
+        }, summary);
+
+        const reduceMotion = shouldReduceMotion();
+        summary.focus({ preventScroll: !reduceMotion });
+
+        if (!reduceMotion) {
+            window.scrollTo({
+                top: summary.getBoundingClientRect().top + window.pageYOffset - 100,
+                behavior: 'smooth'
+            });
+        }
+    }
+
+    /**
+     * Set up declarative validation for data-json-form forms.
+     * Rules come from standard attributes (required, type="email", type="tel",
+     * minlength, maxlength, pattern, min, max) plus data-validate="phone|number"
+     * and data-match="otherFieldName". Messages can be overridden per rule with
+     * data-error-<rule>, e.g. data-error-required="Please tell us your name".
+     * @param {Array} forms - Forms to enhance
+     */
+    function initFormValidation(forms) {
+        forms.forEach(function(form) {
+            // We render our own messages instead of the browser's bubbles
+            form.setAttribute('novalidate', 'novalidate');
+
+            // File inputs report their own errors as files are chosen (see addUploadFiles)
+            delegate('focusout', 'input:not([type="file"]), select, textarea', function() {
+                validateField(form, this.name);
+            }, form);
+
+            // Once a field has been flagged, clear the error as soon as it is fixed
+            delegate('input change', '.is-invalid:not([type="file"])', function() {
+                validateField(form, this.name);
+            }, form);
+        });
+    }
+
+    /**
+     * Validate a single field by name and update its error display
+     * @param {HTMLFormElement} form - Form containing the field
+     * @param {string} name - Field name
+     * @returns {string|null} Error message, or null when valid
+     */
+    function validateField(form, name) {
+        if (!name) return null;
+
+        const fields = queryByName(form, name);
+        const error = getFieldError(form, fields);
+
+        if (error) {
+            showFieldError(fields, error);
+        } else if (fields.length) {
+            clearFieldError(fields);
+        }
+
+        return error;
+    }
+
+    /**
+     * Validate every field in a form
+     * @param {string|HTMLFormElement} formSelector - Form to validate
+     * @param {HTMLElement} [scope] - Only validate fields inside this element (e.g. a wizard step)
+     * @returns {Object} Errors keyed by field name (empty when valid)
+     */
+    function validateForm(formSelector, scope) {
+        const form = toElement(formSelector);
+        const errors = {};
+        const seen = {};
+
+        if (!form) return errors;
+
+        queryAll('input, select, textarea', toElement(scope) || form).forEach(function(field) {
+            if (field.matches(':disabled, [type="hidden"], [type="submit"], [type="button"]')) return;
+            if (!field.name || seen[field.name]) return;
+            seen[field.name] = true;
+
+            const error = getFieldError(form, queryByName(form, field.name));
+            if (error) {
+                errors[field.name] = error;
             }
         });
-        
-        // Scroll to first error
-        const $firstError = $(formSelector).find('.is-invalid').first();
-        if ($firstError.length && !prefersReducedMotion) {
-            $('html, body').animate({
-                scrollTop: $firstError.offset().top - 100
-            }, 500);
+
+        return errors;
+    }
+
+    /**
+     * Run a field's declarative rules
+     * @param {HTMLFormElement} form - Form containing the field
+     * @param {Array} fields - Field, or every input of a radio/checkbox group
+     * @returns {string|null} First failing rule's message, or null
+     */
+    function getFieldError(form, fields) {
+        const field = fields[0];
+        if (!field || field.disabled) return null;
+
+        const type = (field.type || '').toLowerCase();
+        const rule = field.getAttribute('data-validate');
+        const isGroup = type === 'checkbox' || type === 'radio';
+        const checked = fields.filter(function(input) { return input.checked; })[0];
+        let value = isGroup ? (checked ? checked.value : '') : (field.value || '').trim();
+
+        // File inputs are checked as files are chosen; here only whether there are any
+        if (type === 'file') {
+            value = getUploadFiles(field).length ? 'files' : '';
+        }
+        const message = function(name, fallback, values) {
+            return interpolate(field.getAttribute(`data-error-${name}`) || gettext(fallback), values);
+        };
+
+        if (fields.some(function(input) { return input.hasAttribute('required'); }) && !value) {
+            return message('required', VALIDATION_MESSAGES.required);
+        }
+
+        // Optional fields are only checked once something is entered
+        if (!value || isGroup || type === 'file') return null;
+
+        if (type === 'email' || rule === 'email') {
+            if (!EMAIL_PATTERN.test(value)) return message('email', VALIDATION_MESSAGES.email);
+        }
+
+        if (type === 'tel' || rule === 'phone') {
+            if (!PHONE_PATTERN.test(value) || value.replace(/\D/g, '').length < 7) {
+                return message('phone', VALIDATION_MESSAGES.phone);
+            }
+        }
+
+        const minLength = parseInt(field.getAttribute('minlength'), 10);
+        if (!isNaN(minLength) && value.length < minLength) {
+            return message('minlength', VALIDATION_MESSAGES.minlength, { min: formatNumber(minLength) });
+        }
+
+        const maxLength = parseInt(field.getAttribute('maxlength'), 10);
+        if (!isNaN(maxLength) && value.length > maxLength) {
+            return message('maxlength', VALIDATION_MESSAGES.maxlength, { max: formatNumber(maxLength) });
+        }
+
+        const pattern = compilePattern(field.getAttribute('pattern'));
+        if (pattern && !pattern.test(value)) {
+            return message('pattern', VALIDATION_MESSAGES.pattern);
+        }
+
+        const hasRange = field.hasAttribute('min') || field.hasAttribute('max');
+        if (type === 'number' || type === 'range' || rule === 'number' || (hasRange && type !== 'date')) {
+            const number = parseFloat(value);
+            const min = parseFloat(field.getAttribute('min'));
+            const max = parseFloat(field.getAttribute('max'));
+
+            if (isNaN(number) || !/^-?\d*\.?\d+$/.test(value)) return message('number', VALIDATION_MESSAGES.number);
+            if (!isNaN(min) && number < min) return message('min', VALIDATION_MESSAGES.min, { min: formatNumber(min) });
+            if (!isNaN(max) && number > max) return message('max', VALIDATION_MESSAGES.max, { max: formatNumber(max) });
+        }
+
+        const matchName = field.getAttribute('data-match');
+        if (matchName) {
+            const other = queryByName(form, matchName)[0];
+            if (other && (other.value || '').trim() !== value) {
+                return message('match', VALIDATION_MESSAGES.match);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Compile a pattern attribute the way browsers do: matching the whole value,
+     * with the v flag. An invalid pattern is ignored, as browsers ignore it.
+     * @param {string|null} pattern - The field's pattern attribute
+     * @returns {RegExp|null} Compiled pattern, or null when there is none to check
+     */
+    function compilePattern(pattern) {
+        if (!pattern) return null;
+
+        try {
+            return new RegExp(`^(?:${pattern})$`, PATTERN_FLAGS);
+        } catch (error) {
+            return null;
         }
     }
 
@@ -705,34 +5865,45 @@
      * Display search results in the UI
      * @param {Array} results - Array of search result objects
      * @param {string} containerSelector - Selector for the results container
+     * @param {Object} options - Processing options (liveSearch widget state,
+     *   append to add the results to the container's existing list)
+     * @returns {Array|undefined} The appended items in append mode
      */
-    function displaySearchResults(results, containerSelector) {
-        const $container = $(containerSelector);
-        if (!$container.length) return;
-        
-        if (results.length === 0) {
-            $container.html('<p>No results found.</p>');
+    function displaySearchResults(results, containerSelector, options = {}) {
+        // Live search suggestions render as combobox options instead of a list
+        if (options.liveSearch) {
+            renderLiveSearchOptions(options.liveSearch, results);
             return;
         }
-        
-        let html = '<ul class="search-results">';
-        results.forEach(result => {
-            html += `
-                <li class="search-result-item">
-                    <h3><a href="${result.url}">${result.title}</a></h3>
-                    <p>${result.excerpt}</p>
-                </li>
-            `;
-        });
-        html += '</ul>';
-        
-        if (prefersReducedMotion) {
-            $container.html(html);
-        } else {
-            $container.fadeOut(300, function() {
-                $container.html(html).fadeIn(300);
-            });
+
+        const container = toElement(containerSelector);
+        if (!container) return;
+
+        // Further pages go on the end of the list already shown, without a fade
+        if (options.append) {
+            const list = container.matches('[data-search-list], .search-results') ? container :
+                container.querySelector('[data-search-list], .search-results');
+            if (list) {
+                const fragments = results.map(result => renderTemplate('search-result', result));
+                const items = fragments.map(fragment => fragment.firstElementChild).filter(Boolean);
+                list.append.apply(list, fragments);
+                return items;
+            }
+        }
+
+        if (results.length === 0) {
+            container.replaceChildren(renderTemplate('search-empty'));
+            return;
         }
+
+        const content = renderTemplate('search-results', {}, {
+            items: results.map(result => renderTemplate('search-result', result))
+        });
+
+        fadeTo(container, 0, 300).then(function() {
+            container.replaceChildren(content);
+            return fadeTo(container, 1, 300);
+        });
     }
 
     /**
@@ -740,24 +5911,647 @@
      * @param {string} query - Search query string
      */
     function updateSearchQueryDisplay(query) {
-        $('.search-query-display').text(query);
+        queryAll('.search-query-display').forEach(function(element) {
+            element.textContent = query;
+        });
+    }
+
+    /**
+     * Mark a string as trusted HTML so templates insert it without escaping.
+     * Only values passed through here are trusted; server JSON cannot forge one.
+     * @param {string} html - Trusted HTML
+     * @returns {Object} Safe HTML wrapper
+     */
+    function markSafe(html) {
+        const safe = Object.freeze({ html: String(html == null ? '' : html) });
+        safeHtmlValues.add(safe);
+        return safe;
+    }
+
+    /**
+     * Find a template by name: a <template data-template="name"> in the page
+     * wins over the built-in default, so markup can change without touching JS
+     * @param {string} name - Template name
+     * @returns {HTMLTemplateElement} Template element
+     */
+    function getTemplate(name) {
+        const pageTemplate = document.querySelector(`template[data-template="${name}"]`);
+        if (pageTemplate) {
+            return pageTemplate;
+        }
+
+        if (!defaultTemplateCache[name]) {
+            if (!DEFAULT_TEMPLATES[name]) {
+                throw new Error(`Unknown template: ${name}`);
+            }
+            defaultTemplateCache[name] = document.createElement('template');
+            defaultTemplateCache[name].innerHTML = DEFAULT_TEMPLATES[name];
+        }
+
+        return defaultTemplateCache[name];
+    }
+
+    /**
+     * Render a template with a context object.
+     * Bindings are data attributes, and values are always inserted as text:
+     *   data-text="key"              textContent
+     *   data-html="key"              innerHTML, only for markSafe() values (text otherwise)
+     *   data-attr="href:url;id:id"   attributes (javascript:/data: URLs are dropped)
+     *   data-if="key" / "!key"       keep the element only when the value is truthy / falsy
+     *   data-slot="name"             where slots[name] (nodes or fragments) are appended
+     * Keys may be dotted paths, e.g. "result.title".
+     * @param {string} name - Template name
+     * @param {Object} context - Values to bind
+     * @param {Object} [slots] - Nodes to place in data-slot elements, keyed by slot name
+     * @returns {DocumentFragment} Rendered markup
+     */
+    function renderTemplate(name, context = {}, slots = {}) {
+        const fragment = getTemplate(name).content.cloneNode(true);
+        const lookup = function(key) {
+            return key.split('.').reduce(function(value, part) {
+                return value == null ? undefined : value[part];
+            }, context);
+        };
+        const toText = function(value) {
+            return value == null ? '' : String(safeHtmlValues.has(value) ? value.html : value);
+        };
+
+        queryAll('[data-if]', fragment).forEach(function(element) {
+            const key = element.getAttribute('data-if');
+            const negate = key.charAt(0) === '!';
+            const value = lookup(negate ? key.slice(1) : key);
+            const truthy = Array.isArray(value) ? value.length > 0 : !!value;
+
+            if (truthy === negate) {
+                element.remove();
+            } else {
+                element.removeAttribute('data-if');
+            }
+        });
+
+        // Fixed wording in the built-in templates is translated as it renders
+        queryAll('[data-i18n]', fragment).forEach(function(element) {
+            element.textContent = gettext(element.textContent.replace(/\s+/g, ' ').trim());
+            element.removeAttribute('data-i18n');
+        });
+
+        queryAll('[data-i18n-attr]', fragment).forEach(function(element) {
+            element.getAttribute('data-i18n-attr').split(';').forEach(function(attribute) {
+                attribute = attribute.trim();
+                if (attribute && element.hasAttribute(attribute)) {
+                    element.setAttribute(attribute, gettext(element.getAttribute(attribute)));
+                }
+            });
+            element.removeAttribute('data-i18n-attr');
+        });
+
+        queryAll('[data-text]', fragment).forEach(function(element) {
+            element.textContent = toText(lookup(element.getAttribute('data-text')));
+            element.removeAttribute('data-text');
+        });
+
+        queryAll('[data-html]', fragment).forEach(function(element) {
+            const value = lookup(element.getAttribute('data-html'));
+
+            if (safeHtmlValues.has(value)) {
+                element.innerHTML = value.html;
+            } else {
+                element.textContent = toText(value);
+            }
+            element.removeAttribute('data-html');
+        });
+
+        queryAll('[data-attr]', fragment).forEach(function(element) {
+            element.getAttribute('data-attr').split(';').forEach(function(binding) {
+                const parts = binding.split(':');
+                const attribute = parts[0].trim();
+                const value = lookup((parts[1] || '').trim());
+
+                if (!attribute || value == null || value === false) return;
+                if (URL_ATTRIBUTES.indexOf(attribute) !== -1 && UNSAFE_URL_PATTERN.test(toText(value))) return;
+
+                element.setAttribute(attribute, toText(value));
+            });
+            element.removeAttribute('data-attr');
+        });
+
+        queryAll('[data-slot]', fragment).forEach(function(element) {
+            const content = slots[element.getAttribute('data-slot')];
+
+            if (content) {
+                element.append.apply(element, content.nodeType ? [content] : Array.from(content));
+            }
+            element.removeAttribute('data-slot');
+        });
+
+        return fragment;
+    }
+
+    /**
+     * Escape a string for safe insertion into HTML
+     * @param {*} value - Raw value
+     * @returns {string} Escaped HTML string
+     */
+    function escapeHtml(value) {
+        return String(value == null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Escape text and wrap every occurrence of the query terms in <mark>
+     * @param {string} text - Raw text to highlight
+     * @param {string} query - Search query
+     * @returns {string} Escaped HTML with highlighted matches
+     */
+    function highlightMatches(text, query) {
+        const terms = (query || '').trim().split(/\s+/).filter(Boolean).map(function(term) {
+            return term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        });
+
+        if (!terms.length) {
+            return escapeHtml(text);
+        }
+
+        // Split on the raw terms so matches never land inside an escaped entity
+        const pattern = new RegExp(`(${terms.join('|')})`, 'gi');
+        return String(text == null ? '' : text).split(pattern).map(function(part, index) {
+            return index % 2 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part);
+        }).join('');
+    }
+
+    /**
+     * Enhance search forms with search-as-you-type suggestions.
+     * Forms marked with data-live-search get an ARIA combobox; without
+     * JavaScript they submit as a normal GET form.
+     */
+    function initLiveSearch() {
+        queryAll('form[data-live-search]').forEach(function(form) {
+            const input = form.querySelector('input[name="query"]');
+
+            if (!input || liveSearchWidgets.has(form)) return;
+
+            const inputId = input.id || `live-search-${Math.random().toString(36).slice(2, 9)}`;
+            const listbox = document.createElement('ul');
+            listbox.id = `${inputId}-listbox`;
+            listbox.className = 'live-search-listbox';
+            listbox.setAttribute('role', 'listbox');
+            listbox.hidden = true;
+
+            const widget = {
+                form: form,
+                input: input,
+                listbox: listbox,
+                activeIndex: -1,
+                query: '',
+                request: null,
+                minChars: parseInt(form.dataset.minChars, 10) || 2
+            };
+            liveSearchWidgets.set(form, widget);
+
+            input.id = inputId;
+            input.setAttribute('role', 'combobox');
+            input.setAttribute('aria-autocomplete', 'list');
+            input.setAttribute('aria-expanded', 'false');
+            input.setAttribute('aria-controls', listbox.id);
+            input.after(listbox);
+
+            input.addEventListener('input', debounce(function() {
+                fetchLiveSearchResults(widget);
+            }, parseInt(form.dataset.debounce, 10) || 250));
+
+            input.addEventListener('keydown', function(e) {
+                handleLiveSearchKeydown(widget, e);
+            });
+
+            input.addEventListener('blur', function() {
+                closeLiveSearch(widget);
+            });
+
+            // Keep focus in the input while an option is clicked
+            delegate('mousedown', '[role="option"]', function(e) {
+                e.preventDefault();
+            }, listbox);
+
+            delegate('click', '[role="option"]', function() {
+                window.location.href = this.dataset.url;
+            }, listbox);
+        });
+    }
+
+    /**
+     * Request JSON suggestions for the current input value
+     * @param {Object} widget - Live search widget state
+     */
+    function fetchLiveSearchResults(widget) {
+        const query = widget.input.value.trim();
+
+        if (query === widget.query) return;
+        widget.query = query;
+
+        // Drop any slower request still running for an older query
+        if (widget.request) {
+            widget.request.abort();
+            widget.request = null;
+        }
+
+        if (query.length < widget.minChars) {
+            closeLiveSearch(widget);
+            widget.listbox.replaceChildren();
+            return;
+        }
+
+        const request = sendJsonRequest(widget.form.getAttribute('action') || '/search/', { query: query }, 'GET', {
+            responseType: 'search',
+            liveSearch: widget,
+            showLoading: false
+        });
+        const finish = function() {
+            if (widget.request === request) {
+                widget.request = null;
+            }
+        };
+
+        widget.request = request;
+        request.then(finish, finish);
+    }
+
+    /**
+     * Render search results as combobox options
+     * @param {Object} widget - Live search widget state
+     * @param {Array} results - Array of search result objects
+     */
+    function renderLiveSearchOptions(widget, results) {
+        const listboxId = widget.listbox.id;
+        const viewAllUrl = `${widget.form.getAttribute('action') || '/search/'}?${new URLSearchParams(new FormData(widget.form))}`;
+
+        // highlightMatches escapes the text itself, so its output can be trusted
+        const options = results.map(function(result, index) {
+            return renderTemplate('live-search-option', {
+                id: `${listboxId}-option-${index}`,
+                url: result.url,
+                title: markSafe(highlightMatches(result.title, widget.query)),
+                excerpt: result.excerpt ? markSafe(highlightMatches(result.excerpt, widget.query)) : null
+            });
+        });
+
+        if (!results.length) {
+            options.push(renderTemplate('live-search-empty'));
+        }
+
+        options.push(renderTemplate('live-search-view-all', {
+            id: `${listboxId}-option-all`,
+            url: viewAllUrl,
+            query: widget.query,
+            label: gettext('View all results for “{query}”', { query: widget.query })
+        }));
+
+        widget.listbox.replaceChildren.apply(widget.listbox, options);
+        widget.activeIndex = -1;
+        widget.input.removeAttribute('aria-activedescendant');
+
+        if (document.activeElement === widget.input) {
+            openLiveSearch(widget);
+        }
+
+        announceToScreenReader(ngettext('{count} result available.', '{count} results available.', results.length));
+    }
+
+    /**
+     * Keyboard navigation for the live search combobox
+     * @param {Object} widget - Live search widget state
+     * @param {Event} e - Keydown event
+     */
+    function handleLiveSearchKeydown(widget, e) {
+        const options = queryAll('[role="option"]', widget.listbox);
+        const isOpen = !widget.listbox.hidden;
+
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowUp': {
+                if (!options.length) return;
+                e.preventDefault();
+
+                if (!isOpen) {
+                    openLiveSearch(widget);
+                }
+
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                setLiveSearchActive(widget, (widget.activeIndex + step + options.length) % options.length);
+                break;
+            }
+            case 'Enter':
+                if (isOpen && widget.activeIndex > -1) {
+                    e.preventDefault();
+                    window.location.href = options[widget.activeIndex].dataset.url;
+                }
+                // Otherwise let the form submit normally
+                break;
+            case 'Escape':
+                e.preventDefault();
+
+                if (isOpen) {
+                    closeLiveSearch(widget);
+                } else {
+                    widget.input.value = '';
+                    widget.query = '';
+                    widget.listbox.replaceChildren();
+                }
+                break;
+        }
+    }
+
+    /**
+     * Mark an option as the active descendant of the combobox
+     * @param {Object} widget - Live search widget state
+     * @param {number} index - Option index
+     */
+    function setLiveSearchActive(widget, index) {
+        const options = queryAll('[role="option"]', widget.listbox);
+        const active = options[index];
+
+        options.forEach(function(option) {
+            option.classList.toggle('is-active', option === active);
+            option.setAttribute('aria-selected', option === active ? 'true' : 'false');
+        });
+        widget.activeIndex = index;
+
+        if (!active) return;
+        widget.input.setAttribute('aria-activedescendant', active.id);
+
+        // Keep the active option visible in a scrolling listbox
+        if (active.scrollIntoView) {
+            active.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    /**
+     * Show the suggestions listbox
+     * @param {Object} widget - Live search widget state
+     */
+    function openLiveSearch(widget) {
+        if (!widget.listbox.children.length) return;
+
+        widget.listbox.hidden = false;
+        widget.input.setAttribute('aria-expanded', 'true');
+    }
+
+    /**
+     * Hide the suggestions listbox
+     * @param {Object} widget - Live search widget state
+     */
+    function closeLiveSearch(widget) {
+        widget.listbox.hidden = true;
+        widget.input.setAttribute('aria-expanded', 'false');
+        widget.input.removeAttribute('aria-activedescendant');
+        queryAll('[role="option"]', widget.listbox).forEach(function(option) {
+            option.classList.remove('is-active');
+            option.setAttribute('aria-selected', 'false');
+        });
+        widget.activeIndex = -1;
+    }
+
+    /**
+     * Page through search results in place. A [data-search-results] region
+     * holds the [data-search-list], a [data-search-count] status and the
+     * server's [data-search-next] link, which becomes a "Load more" button;
+     * with data-infinite-scroll the next page also loads as the button nears
+     * the viewport. The URL follows the last page loaded, and the results so
+     * far are kept in the history entry so navigating back restores them.
+     * @param {string|Element} [scope=document] - Element or selector to enhance within
+     */
+    function enhanceSearchPagination(scope) {
+        const root = toElement(scope) || document;
+
+        queryAll('[data-search-results]', root).forEach(function(region) {
+            const list = region.querySelector('[data-search-list]');
+            if (!list || searchPaginations.has(region)) return;
+
+            const pagination = {
+                region: region,
+                list: list,
+                url: region.dataset.searchUrl || window.location.pathname,
+                query: region.dataset.query || '',
+                firstPage: parseInt(region.dataset.firstPage || region.dataset.page, 10) || 1,
+                page: parseInt(region.dataset.page, 10) || 1,
+                numPages: parseInt(region.dataset.numPages, 10) || 1,
+                total: parseInt(region.dataset.total, 10) || 0,
+                infinite: region.hasAttribute('data-infinite-scroll'),
+                request: null,
+                observer: null
+            };
+            searchPaginations.set(region, pagination);
+            restoreSearchPages(pagination);
+
+            // A PJAX snapshot may already contain the button from an earlier visit
+            let button = region.querySelector('[data-search-load-more]');
+            if (!button) {
+                button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'btn btn-outline-primary search-load-more';
+                button.setAttribute('data-search-load-more', '');
+                button.textContent = gettext('Load more results');
+
+                const next = region.querySelector('[data-search-next]');
+                if (next) {
+                    next.replaceWith(button);
+                } else {
+                    region.appendChild(button);
+                }
+            }
+            button.disabled = false;
+            pagination.button = button;
+
+            button.addEventListener('click', function() {
+                loadNextSearchPage(pagination, true);
+            });
+
+            if (pagination.infinite && 'IntersectionObserver' in window) {
+                pagination.observer = new IntersectionObserver(function(entries) {
+                    if (entries.some(entry => entry.isIntersecting)) {
+                        loadNextSearchPage(pagination, false);
+                    }
+                }, { rootMargin: '0px 0px 200px 0px' });
+            }
+
+            updateSearchPagination(pagination);
+        });
+    }
+
+    /**
+     * Fetch the next page of results and append it to the list
+     * @param {Object} pagination - Search pagination state
+     * @param {boolean} moveFocus - Focus the first new result; infinite scroll
+     *   leaves focus alone so it never yanks the reader away mid-scroll
+     */
+    function loadNextSearchPage(pagination, moveFocus) {
+        if (pagination.request || pagination.page >= pagination.numPages) return;
+
+        const nextPage = pagination.page + 1;
+        const request = sendJsonRequest(pagination.url, { query: pagination.query, page: nextPage }, 'GET', {
+            handleResponse: false,
+            target: pagination.region
+        });
+
+        pagination.request = request;
+        pagination.button.disabled = true;
+
+        request.then(function(data) {
+            const items = displaySearchResults(data.search_results || [], pagination.list, { append: true }) || [];
+
+            pagination.page = data.page || nextPage;
+            pagination.numPages = data.has_next === false ? pagination.page : (data.num_pages || pagination.numPages);
+            if (typeof data.total === 'number') pagination.total = data.total;
+
+            saveSearchPages(pagination);
+            updateSearchPagination(pagination);
+            trackEvent('search_more', { page: pagination.page, infinite: !moveFocus });
+
+            if (moveFocus && items.length) {
+                const link = items[0].querySelector('a[href]');
+                if (link) {
+                    link.focus();
+                } else {
+                    items[0].setAttribute('tabindex', '-1');
+                    items[0].focus();
+                }
+            }
+        }, noop).then(function() {
+            pagination.request = null;
+            pagination.button.disabled = false;
+        });
+    }
+
+    /**
+     * Sync the count, the region's data attributes and the button with the pages loaded
+     * @param {Object} pagination - Search pagination state
+     */
+    function updateSearchPagination(pagination) {
+        const region = pagination.region;
+        const shown = pagination.list.children.length;
+        const count = region.querySelector('[data-search-count]');
+
+        region.dataset.firstPage = pagination.firstPage;
+        region.dataset.page = pagination.page;
+        region.dataset.numPages = pagination.numPages;
+        region.dataset.total = pagination.total;
+
+        if (count) {
+            count.textContent = ngettext('Showing {shown} of {count} result', 'Showing {shown} of {count} results',
+                pagination.total, { shown: formatNumber(shown) });
+        }
+
+        pagination.button.hidden = pagination.page >= pagination.numPages;
+
+        // Observing afresh reports the button's current position, so a page too
+        // short to push it out of view still loads the next one
+        if (pagination.observer) {
+            pagination.observer.disconnect();
+            if (!pagination.button.hidden) pagination.observer.observe(pagination.button);
+        }
+    }
+
+    /**
+     * Put the last page loaded in the URL and keep the results in the history entry
+     * @param {Object} pagination - Search pagination state
+     */
+    function saveSearchPages(pagination) {
+        const url = new URL(window.location.href);
+        url.searchParams.set('page', pagination.page);
+
+        const state = Object.assign({}, window.history.state, {
+            searchPages: {
+                url: pagination.url,
+                query: pagination.query,
+                firstPage: pagination.firstPage,
+                page: pagination.page,
+                numPages: pagination.numPages,
+                total: pagination.total,
+                html: pagination.list.innerHTML
+            }
+        });
+
+        window.history.replaceState(state, '', url.href);
+        pjaxCurrentUrl = window.location.href;
+    }
+
+    /**
+     * Bring back the results saved for this history entry, so returning to
+     * ?page=3 shows pages one to three rather than page three alone. Only
+     * results from the same search endpoint, query and page are reused.
+     * @param {Object} pagination - Search pagination state
+     */
+    function restoreSearchPages(pagination) {
+        const saved = window.history.state && window.history.state.searchPages;
+        if (!saved || saved.url !== pagination.url || saved.query !== pagination.query || saved.page !== pagination.page) return;
+
+        // The markup is what this script rendered into the same list earlier
+        pagination.list.innerHTML = saved.html;
+        pagination.firstPage = saved.firstPage;
+        pagination.numPages = saved.numPages;
+        pagination.total = saved.total;
     }
 
+    // Built-in response types, rebuilt on the registry
+    registerResponseHandler('default', processJsonData);
+    registerResponseHandler('form', processFormResponse);
+    registerResponseHandler('search', processSearchResponse);
+    registerResponseHandler('notification', processNotificationResponse);
+
     // Expose public methods
     window.StVeronicaFoundation = {
         initScrollAnimations: initScrollAnimations,
         ajaxPrefetch: ajaxPrefetch,
         smoothScroll: smoothScroll,
         handleModalEvents: handleModalEvents,
+        showModal: showModal,
+        hideModal: hideModal,
         showNotification: showNotification,
+        flashNotification: flashNotification,
         announceToScreenReader: announceToScreenReader,
+        getAccessibilityPreferences: getAccessibilityPreferences,
+        setAccessibilityPreference: setAccessibilityPreference,
         lazyLoadImages: lazyLoadImages,
+        enhanceDisclosures: enhanceDisclosures,
+        enhanceCampaigns: enhanceCampaigns,
+        initLiveSearch: initLiveSearch,
+        enhanceSearchPagination: enhanceSearchPagination,
+        pjaxNavigate: pjaxNavigate,
         // Add JSON response handling methods
         handleJsonResponse: handleJsonResponse,
+        registerResponseHandler: registerResponseHandler,
+        registerResponseMiddleware: registerResponseMiddleware,
         parseJsonResponse: parseJsonResponse,
         processJsonData: processJsonData,
+        // Safe templating
+        renderTemplate: renderTemplate,
+        markSafe: markSafe,
+        // Translation and locale-aware formatting
+        gettext: gettext,
+        ngettext: ngettext,
+        formatNumber: formatNumber,
+        formatCurrency: formatCurrency,
+        formatDate: formatDate,
+        // Form validation and serialization helpers
+        validateForm: validateForm,
+        serializeForm: serializeForm,
+        displayFormErrors: displayFormErrors,
         // Add new JSON request helper
-        sendJsonRequest: sendJsonRequest
+        sendJsonRequest: sendJsonRequest,
+        replayOutbox: replayOutbox,
+        // Response cache controls
+        invalidateCache: invalidateCache,
+        clearCache: clearCache,
+        // Analytics event bus
+        trackEvent: trackEvent,
+        registerAnalyticsListener: registerAnalyticsListener,
+        setAnalyticsConsent: setAnalyticsConsent,
+        // Logging and error reports
+        setLogLevel: setLogLevel,
+        reportError: reportError
     };
 
-})(jQuery);
+})();
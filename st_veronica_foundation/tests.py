@@ -0,0 +1,94 @@
+import json
+
+from django.conf import settings
+from django.test import TestCase
+from django.urls import reverse
+from django.utils.http import http_date
+
+
+class CsrfTokenViewTests(TestCase):
+    """
+    Tests for the view scripts call to refresh a rejected CSRF token.
+    """
+
+    def test_returns_token_and_sets_cookie(self):
+        response = self.client.get(reverse("csrf_token"))
+        self.assertEqual(response.status_code, 200)
+        self.assertEqual(response["Content-Type"], "application/json")
+        self.assertTrue(response.json()["csrfToken"])
+        self.assertIn(settings.CSRF_COOKIE_NAME, response.cookies)
+
+    def test_never_cached(self):
+        response = self.client.get(reverse("csrf_token"))
+        cache_control = response["Cache-Control"]
+        for directive in ("max-age=0", "no-cache", "no-store", "must-revalidate", "private"):
+            self.assertIn(directive, cache_control)
+        self.assertTrue(response.has_header("Expires"))
+
+
+class DonationViewTests(TestCase):
+    """
+    Tests for the JSON endpoint behind the donation wizard.
+    """
+
+    def post(self, data):
+        return self.client.post(reverse("donation"), json.dumps(data), content_type="application/json")
+
+    def donation(self, **overrides):
+        data = {
+            "amount": 25,
+            "currency": "USD",
+            "frequency": "monthly",
+            "dedication": None,
+            "donor": {
+                "first_name": "Ada",
+                "last_name": "Lovelace",
+                "email": "ada@example.org",
+                "phone": "",
+            },
+        }
+        data.update(overrides)
+        return data
+
+    def test_valid_donation_redirects_to_payment(self):
+        response = self.post(self.donation())
+        self.assertEqual(response.status_code, 200)
+        data = response.json()
+        self.assertTrue(data["success"])
+        self.assertEqual(data["redirect"], "/donate/?amount=25&currency=USD&frequency=monthly")
+        self.assertNotIn("ada", data["redirect"])
+
+    def test_invalid_donation_returns_form_errors(self):
+        response = self.post(self.donation(amount=0, donor={"first_name": "Ada", "email": "not-an-email"}))
+        self.assertEqual(response.status_code, 400)
+        errors = response.json()["form_errors"]
+        self.assertEqual(set(errors), {"amount", "last_name", "email"})
+
+    def test_dedication_needs_a_name(self):
+        response = self.post(self.donation(dedication={"type": "memory", "name": "", "message": ""}))
+        self.assertEqual(response.status_code, 400)
+        self.assertIn("dedication_name", response.json()["form_errors"])
+
+    def test_malformed_json_is_rejected(self):
+        response = self.client.post(reverse("donation"), "{", content_type="application/json")
+        self.assertEqual(response.status_code, 400)
+
+    def test_get_not_allowed(self):
+        response = self.client.get(reverse("donation"))
+        self.assertEqual(response.status_code, 405)
+
+
+class JavaScriptCatalogTests(TestCase):
+    """
+    Tests for the cached translation catalog loaded by base.html.
+    """
+
+    def test_catalog_is_cacheable(self):
+        response = self.client.get(reverse("javascript-catalog"))
+        self.assertEqual(response.status_code, 200)
+        self.assertIn("max-age=86400", response["Cache-Control"])
+        self.assertEqual(response["Last-Modified"], http_date(settings.DEPLOYED_AT))
+
+    def test_catalog_follows_accept_language(self):
+        response = self.client.get(reverse("javascript-catalog"), HTTP_ACCEPT_LANGUAGE="es")
+        self.assertEqual(response["Content-Language"], "es")
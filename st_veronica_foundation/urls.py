@@ -1,6 +1,11 @@
+from datetime import datetime, timezone
+
 from django.conf import settings
 from django.urls import include, path
 from django.contrib import admin
+from django.views.decorators.cache import cache_page
+from django.views.decorators.http import last_modified
+from django.views.i18n import JavaScriptCatalog
 
 from wagtail.admin import urls as wagtailadmin_urls
 from wagtail import urls as wagtail_urls
@@ -8,11 +13,24 @@ from wagtail.documents import urls as wagtaildocs_urls
 
 from search import views as search_views
 
+from . import views
+
+# The catalog only changes with a deploy, so browsers may keep it for a day
+# and revalidate against the deploy time
+catalog_last_modified = datetime.fromtimestamp(settings.DEPLOYED_AT, tz=timezone.utc)
+
 urlpatterns = [
     path("django-admin/", admin.site.urls),
     path("admin/", include(wagtailadmin_urls)),
     path("documents/", include(wagtaildocs_urls)),
     path("search/", search_views.search, name="search"),
+    path("csrf/", views.csrf_token, name="csrf_token"),
+    path("donations/", views.donation, name="donation"),
+    path(
+        "jsi18n/",
+        cache_page(60 * 60 * 24)(last_modified(lambda request, **kwargs: catalog_last_modified)(JavaScriptCatalog.as_view())),
+        name="javascript-catalog",
+    ),
 ]
 
 
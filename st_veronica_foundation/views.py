@@ -0,0 +1,80 @@
+import json
+from urllib.parse import urlencode
+
+from django.conf import settings
+from django.http import JsonResponse
+from django.middleware.csrf import get_token
+from django.utils.translation import gettext as _
+from django.views.decorators.cache import never_cache
+from django.views.decorators.csrf import ensure_csrf_cookie
+from django.views.decorators.http import require_POST
+
+from .forms import DonationForm
+
+
+@never_cache
+@ensure_csrf_cookie
+def csrf_token(request):
+    """
+    Return a fresh CSRF token (and set the csrftoken cookie) so scripts can
+    retry a request the CSRF middleware rejected.
+    """
+    return JsonResponse({"csrfToken": get_token(request)})
+
+
+@require_POST
+def donation(request):
+    """
+    Check a donation posted as JSON by the donation wizard, then send the donor
+    on to the payment page with the amount, currency and frequency chosen.
+    """
+    try:
+        data = json.loads(request.body)
+    except ValueError:
+        data = None
+
+    if not isinstance(data, dict):
+        return JsonResponse({"message": _("Invalid donation request.")}, status=400)
+
+    donor = data.get("donor") if isinstance(data.get("donor"), dict) else {}
+    dedication = data.get("dedication") if isinstance(data.get("dedication"), dict) else {}
+    form = DonationForm(
+        {
+            "amount": data.get("amount"),
+            "currency": data.get("currency"),
+            "frequency": data.get("frequency"),
+            "dedicate": bool(dedication),
+            "dedication_type": dedication.get("type", ""),
+            "dedication_name": dedication.get("name", ""),
+            "dedication_message": dedication.get("message", ""),
+            "first_name": donor.get("first_name"),
+            "last_name": donor.get("last_name"),
+            "email": donor.get("email"),
+            "phone": donor.get("phone", ""),
+        }
+    )
+
+    if not form.is_valid():
+        return JsonResponse(
+            {
+                "message": _("Please correct the errors below."),
+                "form_errors": {field: list(errors) for field, errors in form.errors.items()},
+            },
+            status=400,
+        )
+
+    # Only the gift itself goes in the URL; the donor's details stay out of it
+    query = urlencode(
+        {
+            "amount": form.cleaned_data["amount"],
+            "currency": form.cleaned_data["currency"],
+            "frequency": form.cleaned_data["frequency"],
+        }
+    )
+    return JsonResponse(
+        {
+            "success": True,
+            "message": _("Thank you! Taking you to payment…"),
+            "redirect": f"{settings.DONATION_PAYMENT_URL}?{query}",
+        }
+    )